@@ -0,0 +1,97 @@
+const {typeOf, empty} = require('./util')
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/
+const TIME_PATTERN = /^(\d{2}):(\d{2}):(\d{2})(\.\d+)?(z|[+-]\d{2}:\d{2})?$/i
+const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31]
+
+function isLeapYear (year) {
+  return year % 4 === 0 && (year % 100 !== 0 || year % 400 === 0)
+}
+
+// Full date of RFC 3339, i.e. 2019-02-28
+function date (value) {
+  const match = value.match(DATE_PATTERN)
+  if (!match) return false
+  const [year, month, day] = match.slice(1).map(Number)
+  const daysInMonth = (month === 2 && isLeapYear(year)) ? 29 : DAYS_IN_MONTH[month - 1]
+  return month >= 1 && month <= 12 && day >= 1 && day <= daysInMonth
+}
+
+// Time of RFC 3339 with an optional time zone (like ajv), i.e. 13:15:00 or 13:15:00.123+01:00
+function time (value, requireTimeZone = false) {
+  const match = value.match(TIME_PATTERN)
+  if (!match) return false
+  const [hour, minute, second] = match.slice(1, 4).map(Number)
+  // NOTE: a leap second is only valid at the end of a minute
+  const validSecond = second <= 59 || (second === 60 && minute === 59)
+  return hour <= 23 && minute <= 59 && validSecond && (!requireTimeZone || match[5] !== undefined)
+}
+
+// Date and time of RFC 3339 with a time zone, i.e. 2019-02-28T13:15:00Z
+function dateTime (value) {
+  const parts = value.split(/t|\s/i)
+  return parts.length === 2 && date(parts[0]) && time(parts[1], true)
+}
+
+const IPV4_PATTERN = /^(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/
+
+function ipv4 (value) {
+  return IPV4_PATTERN.test(value)
+}
+
+// Eight groups of hexadecimal digits where :: replaces one or more groups of zeros and the last two groups
+// can be an IPv4 address, i.e. ::1 or ::ffff:192.168.0.1
+function ipv6 (value) {
+  const lastColon = value.lastIndexOf(':')
+  const lastGroup = value.substring(lastColon + 1)
+  if (lastGroup.includes('.')) {
+    if (lastColon === -1 || !ipv4(lastGroup)) return false
+    value = value.substring(0, lastColon + 1) + '0:0'
+  }
+  const parts = value.split('::')
+  if (parts.length > 2) return false
+  const groups = [].concat(...parts.map(part => part === '' ? [] : part.split(':')))
+  if (!groups.every(group => /^[0-9a-f]{1,4}$/i.test(group))) return false
+  return parts.length === 2 ? groups.length < 8 : groups.length === 8
+}
+
+// See: https://github.com/epoberezkin/ajv/blob/master/lib/compile/formats.js
+const FORMAT_PATTERNS = {
+  email: /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(?:\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*@(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z0-9](?:[a-z0-9-]*[a-z0-9])?$/i,
+  hostname: /^(?=.{1,253}$)[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?(?:\.[a-z0-9](?:[-0-9a-z]{0,61}[0-9a-z])?)*$/i,
+  uri: /^[a-z][a-z0-9+.-]*:(?:[a-z0-9\-._~:/?#[\]@!$&'()*+,;=]|%[0-9a-f]{2})*$/i,
+  uuid: /^(?:urn:uuid:)?[0-9a-f]{8}-(?:[0-9a-f]{4}-){3}[0-9a-f]{12}$/i
+}
+
+// Format checkers take a string and return true if it has the format
+const formats = {
+  date,
+  time: (value) => time(value),
+  'date-time': dateTime,
+  ipv4,
+  ipv6
+}
+Object.keys(FORMAT_PATTERNS).forEach(name => {
+  formats[name] = (value) => FORMAT_PATTERNS[name].test(value)
+})
+
+// Adds a custom format (or replaces a built-in one) given a function that checks a string or a regular expression
+function addFormat (name, check) {
+  if (typeOf(name) !== 'string' || empty(name)) throw new Error('addFormat expects a format name string as its first argument')
+  if (!['function', 'regexp'].includes(typeOf(check))) throw new Error('addFormat expects a function or regular expression as its second argument')
+  formats[name] = typeOf(check) === 'regexp' ? (value) => check.test(value) : check
+}
+
+function hasFormat (name) {
+  return formats.hasOwnProperty(name)
+}
+
+function checkFormat (name, value) {
+  return formats[name](value) === true
+}
+
+module.exports = {
+  addFormat,
+  hasFormat,
+  checkFormat
+}
@@ -1,7 +1,14 @@
-const {merge, notEmpty, empty, array, notArray, isArray, flatten, compact, difference, assertValidOptions, mapObj, typeOf, getIn, unique} = require('./util')
+const {merge, setKey, hasOwn, notEmpty, empty, array, notArray, isArray, isObject, isPromise, flatten, compact, clone, deepEqual, stringify, jsonPointer, toJSONPointer, formatPath, difference, assertValidOptions, mapObj, typeOf, getIn, unique} = require('./util')
 const TypeError = require('./type_error')
+const {addFormat, hasFormat, checkFormat} = require('./formats')
+const {setLocale, getLocale, addMessages, formatMessage} = require('./messages')
 
-const JSON_TYPES = ['array', 'object', 'string', 'number', 'boolean', 'null']
+const JSON_TYPES = ['array', 'object', 'string', 'number', 'integer', 'boolean', 'null']
+
+// Whether a value is of a type returned by typeOf (or integer or any)
+function isOfType (value, type) {
+  return typeOf(value) === type || type === 'any' || (type === 'integer' && Number.isInteger(value))
+}
 
 function toString (type) {
   const baseType = notEmpty(type.type) ? array(type.type).join('|') : undefined
@@ -32,60 +39,293 @@ function typeObject (type) {
   }
 }
 
-function typeOfError (type, value, options = {}) {
-  const message = `must be of type ${toString(type)} but was ${typeOf(value)}`
-  return new TypeError(type, value, message, merge(options, {code: 'typeof'}))
+// Creates an error with the message of its code (or messageKey) in the message catalog, see src/messages.js
+function codeError (type, value, code, params, options = {}) {
+  const validationOptions = options.validationOptions || {}
+  const message = formatMessage(options.messageKey || code, params, {
+    locale: validationOptions.locale,
+    overrides: [getIn(type, 'options.messages'), validationOptions.messages]
+  })
+  const schemaPath = errorSchemaPath(validationOptions, ...(options.schemaKeys || [SCHEMA_KEYWORDS[code] || code]))
+  return new TypeError(type, value, message, {code, params, path: options.path, schemaPath, childErrors: options.childErrors})
 }
 
-function typeErrors (type, value, path = []) {
-  const _typeObject = typeObject(type)
-  if (notEmpty(_typeObject.type) && !array(_typeObject.type).find(t => typeOf(value) === t || t === 'any')) {
-    return [typeOfError(_typeObject, value, {path})]
+// Schema keywords of error codes that differ from the code
+const SCHEMA_KEYWORDS = {typeof: 'type', integer: 'type', invalid: 'x-validate', instanceof: 'x-validate', cycle: '$ref'}
+
+// A JSON pointer to a keyword in the JSON schema of the type, i.e. #/properties/name/minLength
+function errorSchemaPath (validationOptions, ...keys) {
+  return jsonPointer('#', ...(validationOptions.schemaPath || []), ...keys)
+}
+
+// The options for a nested type at schemaKeys within the type, i.e. ['properties', 'name']
+function nestedTypeOptions (options, schemaKeys, nestedOptions) {
+  return merge(options, merge(nestedOptions, {schemaPath: (options.schemaPath || []).concat(schemaKeys)}))
+}
+
+function typeOfError (type, value, options = {}) {
+  if (typeOf(value) === 'number' && array(type.type).includes('integer')) {
+    return codeError(type, value, 'integer', {actual: value}, options)
   }
-  if (!_typeObject.validate) return undefined
-  const result = _typeObject.validate(value, path)
+  return codeError(type, value, 'typeof', {expectedType: toString(type), actualType: typeOf(value)}, options)
+}
+
+function validateResultErrors (type, value, path, result, options) {
   if (result === true || result === undefined) return undefined
-  if (result === false) return [new TypeError(type, value, 'is invalid', {path})]
-  return array(result).map((error) => {
+  if (result === false) return [codeError(type, value, 'invalid', {}, {path, validationOptions: options})]
+  return limitErrors(array(result).map((error) => {
     if (error instanceof TypeError) {
       const errorPath = error.path || path
       if (notEmpty(errorPath)) error.path = errorPath
+      if (!error.schemaPath) error.schemaPath = errorSchemaPath(options, 'x-validate')
       return error
     } else {
-      return new TypeError(type, value, result, {path})
+      return new TypeError(type, value, error, {path, schemaPath: errorSchemaPath(options, 'x-validate')})
     }
-  })
+  }), options)
 }
 
-function isValid (type, value) {
-  const errors = typeErrors(type, value)
+const REQUIRED_ERRORS = ['combined', 'perKey']
+
+// The options (see README) are passed on to validate functions as their third argument
+function typeErrors (type, value, options = {}) {
+  if (isArray(options)) options = {path: options}
+  if (options.abortEarly) options = merge(options, {abortEarly: undefined, maxErrors: 1})
+  if (options.requiredErrors !== undefined && !REQUIRED_ERRORS.includes(options.requiredErrors)) {
+    throw new Error(`typeErrors option requiredErrors needs to be one of ${REQUIRED_ERRORS.join(', ')} but was ${options.requiredErrors}`)
+  }
+  const path = options.path || []
+  const _typeObject = cachedTypeObject(type, options)
+  if (!options.schemaRoot) options = merge(options, {schemaRoot: _typeObject})
+  if (allowsEmptyValue(_typeObject, value)) return undefined
+  if (wrapsNullable(_typeObject)) options = nestedTypeOptions(options, ['anyOf', 0], {})
+  if (notEmpty(_typeObject.type) && !array(_typeObject.type).some(t => isOfType(value, t))) {
+    return [typeOfError(_typeObject, value, {path, validationOptions: options})]
+  }
+  if (!_typeObject.validate) return undefined
+  const result = _typeObject.validate(value, path, options)
+  if (isPromise(result)) {
+    if (!options.async) throw new Error(`The validate function of type ${toString(_typeObject)} returned a promise, use typeErrorsAsync to validate asynchronously`)
+    return result.then(result => validateResultErrors(type, value, path, result, options))
+  }
+  return validateResultErrors(type, value, path, result, options)
+}
+
+// Nullable types allow null and Optional types allow undefined without validating it
+function allowsEmptyValue (type, value) {
+  if (value === null) return getIn(type, 'options.isNullable') === true
+  return value === undefined && getIn(type, 'options.isOptional') === true
+}
+
+// Like typeObject but normalized types are cached in the options of compiled validators
+function cachedTypeObject (type, options = {}) {
+  if (!options.cache || typeOf(type) === 'object') return typeObject(type)
+  if (!options.cache.types.has(type)) options.cache.types.set(type, typeObject(type))
+  return options.cache.types.get(type)
+}
+
+// Like new RegExp(pattern) but regular expressions are cached in the options of compiled validators
+function regExp (pattern, options = {}) {
+  if (!options.cache) return new RegExp(pattern)
+  if (!options.cache.regExps.has(pattern)) options.cache.regExps.set(pattern, new RegExp(pattern))
+  return options.cache.regExps.get(pattern)
+}
+
+// Functions that create fast checks (true for valid values, no errors) from the fast checks of nested types
+const fastCheckCompilers = new WeakMap()
+
+function compileFastCheck (type, options, compiled = new Map()) {
+  if (compiled.has(type)) return compiled.get(type)
+  const _typeObject = cachedTypeObject(type, options)
+  // NOTE: registered first for recursive types
+  let check
+  compiled.set(type, (value) => check(value))
+  const compiler = fastCheckCompilers.get(_typeObject)
+  const fastCheck = compiler && compiler((nestedType) => compileFastCheck(nestedType, options, compiled), options)
+  check = fastCheck || validateFastCheck(_typeObject, merge(options, {maxErrors: 1}))
+  if (getIn(_typeObject, 'options.isNullable') || getIn(_typeObject, 'options.isOptional')) {
+    const typeCheck = check
+    check = (value) => allowsEmptyValue(_typeObject, value) || typeCheck(value)
+  }
+  return check
+}
+
+// Built-in types that are fully described by their JSON schema keywords
+const jsonSchemaTypes = new WeakSet()
+
+// Checks a value with the validate function of a type, like typeErrors does
+function validateFastCheck (type, options) {
+  const types = notEmpty(type.type) ? array(type.type) : undefined
+  return (value) => {
+    if (types && !types.some(t => isOfType(value, t))) return false
+    if (!type.validate) return true
+    const result = type.validate(value, [], options)
+    if (result === true || result === undefined) return true
+    if (isPromise(result)) return typeErrors(type, value, options) === undefined
+    return empty(validateResultErrors(type, value, [], result, options))
+  }
+}
+
+// Returns a function that gives the same errors as typeErrors, faster for validating many values
+function compile (type, options = {}) {
+  const compileOptions = merge(options, {cache: {types: new Map(), regExps: new Map()}})
+  const _typeObject = typeObject(type)
+  const isValid = compileFastCheck(_typeObject, compileOptions)
+  return (value) => isValid(value) ? undefined : typeErrors(_typeObject, value, compileOptions)
+}
+
+function typeErrorsAsync (type, value, options = {}) {
+  return Promise.resolve().then(() => typeErrors(type, value, merge(options, {async: true})))
+}
+
+// Calls the callback with the result, after waiting for it if it's a promise
+function whenResolved (result, callback) {
+  return isPromise(result) ? result.then(callback) : callback(result)
+}
+
+function limitErrors (errors, options = {}) {
+  if (options.maxErrors) errors = errors.slice(0, options.maxErrors)
+  return notEmpty(errors) ? errors : undefined
+}
+
+// Collects the errors of checks, which are errors or functions of the validation options that return errors
+function collectErrors (checks, options = {}) {
+  const run = (check, options) => typeOf(check) === 'function' ? check(options) : check
+  if (options.async) {
+    return Promise.all(checks.map(check => run(check, options))).then(results => limitErrors(flatten(results.map(array)), options))
+  }
+  const errors = []
+  for (const check of checks) {
+    const maxErrors = options.maxErrors && (options.maxErrors - errors.length)
+    errors.push(...array(run(check, maxErrors ? merge(options, {maxErrors}) : options)))
+    if (options.maxErrors && errors.length >= options.maxErrors) break
+  }
+  return limitErrors(errors, options)
+}
+
+// Returns the errors of the first failing check
+function firstErrors (checks, options) {
+  if (options.async) return Promise.all(checks.map(check => check())).then(results => results.find(notEmpty))
+  for (const check of checks) {
+    const errors = check()
+    if (notEmpty(errors)) return errors
+  }
+  return undefined
+}
+
+// Returns true if any of the checks passes
+function anyValid (checks, options) {
+  if (options.async) return Promise.all(checks.map(check => check())).then(results => results.some(empty))
+  return checks.some(check => empty(check()))
+}
+
+// Returns the results of all checks
+function allResults (checks, options) {
+  if (options.async) return Promise.all(checks.map(check => check()))
+  return checks.map(check => check())
+}
+
+// Returns the number of checks that pass
+function countValid (checks, options) {
+  if (options.async) return Promise.all(checks.map(check => check())).then(results => results.filter(empty).length)
+  return checks.filter(check => empty(check())).length
+}
+
+function isValid (type, value, options = {}) {
+  const errors = typeErrors(type, value, merge({abortEarly: true}, options))
   return errors === undefined ? true : false
 }
 
+function isValidAsync (type, value, options = {}) {
+  return typeErrorsAsync(type, value, merge({abortEarly: true}, options)).then(errors => errors === undefined)
+}
+
+// Nested errors are prefixed with their paths, i.e. items[3].name (/items/3/name): is required
+function assertTypeError (type, value, errors) {
+  const messages = array(errors).map(e => empty(e.path) ? e.message : `${formatPath(e.path)} (${e.instancePath}): ${e.message}`)
+  return new TypeError(type, value, `value has invalid type - there are ${errors.length} type errors: ${messages.join(', ')}`, {childErrors: errors, params: {errorCount: errors.length}})
+}
+
 function assertType (type, value) {
   const errors = typeErrors(type, value)
-  if (errors) {
-    throw new TypeError(type, value, `value has invalid type - there are ${errors.length} type errors: ${array(errors).map(e => e.message).join(', ')}`, {childErrors: errors})
+  if (errors) throw assertTypeError(type, value, errors)
+}
+
+function assertTypeAsync (type, value) {
+  return typeErrorsAsync(type, value).then((errors) => {
+    if (errors) throw assertTypeError(type, value, errors)
+  })
+}
+
+// Groups the messages of errors by path, nested like the value or by dotted paths if flat
+function errorsTree (errors, flat) {
+  if (empty(errors)) return undefined
+  const tree = errorsTreeNode()
+  for (const error of errors) {
+    const path = flat ? compact([(error.path || []).join('.')]) : (error.path || [])
+    const node = path.reduce((node, key) => {
+      if (!(key in node.children)) node.children[key] = errorsTreeNode()
+      return node.children[key]
+    }, tree)
+    node.messages.push(error.message)
+  }
+  return collapseErrorsTree(tree, true)
+}
+
+// NOTE: children have no prototype so that keys like hasOwnProperty and __proto__ are plain keys
+function errorsTreeNode () {
+  return {messages: [], children: Object.create(null)}
+}
+
+// Nodes with only their own errors are replaced by their messages, other nodes keep them in _errors
+function collapseErrorsTree (node, isRoot = false) {
+  if (!isRoot && empty(Object.keys(node.children))) return node.messages
+  if (notEmpty(node.messages)) {
+    // NOTE: shared with the messages of a value key named _errors
+    const valueErrors = node.children._errors || errorsTreeNode()
+    node.children._errors = {messages: node.messages.concat(valueErrors.messages), children: valueErrors.children}
   }
+  return Object.keys(node.children).reduce((result, key) => {
+    return setKey(result, key, collapseErrorsTree(node.children[key]))
+  }, {})
+}
+
+// The messages of the errors of typeErrors grouped by path, see errorsTree
+function errorTree (type, value, options = {}) {
+  return errorsTree(typeErrors(type, value, merge(options, {flat: undefined})), options.flat)
+}
+
+function errorTreeAsync (type, value, options = {}) {
+  return typeErrorsAsync(type, value, merge(options, {flat: undefined})).then(errors => errorsTree(errors, options.flat))
 }
 
 function assertOptions (options, validOptions) {
-  assertType(ObjectType(validOptions), options)
+  const type = ObjectType(validOptions)
+  assertType(type, options)
+  return applyDefaults(type, options)
 }
 
 function assertTypeOptions (options, validOptionTypes = {}) {
-  const SHARED_OPTIONS = {name: 'string', title: 'string', description: 'string', isRequired: 'boolean'}
+  const SHARED_OPTIONS = {name: 'string', title: 'string', description: 'string', isRequired: 'boolean', default: 'any', messages: 'object'}
   assertValidOptions(options, merge(validOptionTypes, SHARED_OPTIONS))
 }
 
+// NOTE: assigned after compact to keep empty defaults (i.e. '')
+function withDefault (type, options) {
+  if (options.default !== undefined) type.default = options.default
+  return type
+}
+
 function StringType (options = {}) {
-  assertTypeOptions(options, {minLength: 'number', maxLength: 'number', pattern: 'string'})
+  assertTypeOptions(options, {minLength: 'number', maxLength: 'number', pattern: 'string', format: 'string'})
+  if (options.format && !hasFormat(options.format)) throw new Error(`StringType has no format ${options.format}, use addFormat to add it`)
   let description
   if (notEmpty(options)) {
     const optionsDescriptions = []
     if (options.minLength) optionsDescriptions.push(`minimum length ${options.minLength}`)
     if (options.maxLength) optionsDescriptions.push(`maximum length ${options.maxLength}`)
     if (options.pattern) optionsDescriptions.push(`pattern ${options.pattern}`)
+    if (options.format) optionsDescriptions.push(`format ${options.format}`)
     description = `String with ${optionsDescriptions.join(' and ')}`
   }
   const type = compact({
@@ -95,56 +335,90 @@ function StringType (options = {}) {
     minLength: options.minLength,
     maxLength: options.maxLength,
     pattern: options.pattern,
+    format: options.format,
     description: (options.description || description),
     options,
-    validate: (value) => {
-      if (typeOf(value) !== 'string') return [typeOfError(type, value)]
+    validate: (value, path, validationOptions = {}) => {
+      if (typeOf(value) !== 'string') return [typeOfError(type, value, {validationOptions})]
       const errors = []
       if (options.minLength !== undefined && value.length < options.minLength) {
-        errors.push(new TypeError(type, value, `must have at least ${options.minLength} characters but had only ${value.length}`, {code: 'minLength'}))
+        errors.push(codeError(type, value, 'minLength', {limit: options.minLength, actual: value.length}, {validationOptions}))
       }
       if (options.maxLength !== undefined && value.length > options.maxLength) {
-        errors.push(new TypeError(type, value, `must have at most ${options.maxLength} characters but had ${value.length}`, {code: 'maxLength'}))
+        errors.push(codeError(type, value, 'maxLength', {limit: options.maxLength, actual: value.length}, {validationOptions}))
+      }
+      if (options.pattern && !value.match(regExp(options.pattern, validationOptions))) {
+        errors.push(codeError(type, value, 'pattern', {pattern: options.pattern}, {validationOptions}))
       }
-      if (options.pattern && !value.match(new RegExp(options.pattern))) {
-        errors.push(new TypeError(type, value, `must match pattern ${options.pattern}`, {code: 'pattern'}))
+      if (options.format && !checkFormat(options.format, value)) {
+        errors.push(codeError(type, value, 'format', {format: options.format}, {validationOptions}))
       }
       return notEmpty(errors) ? errors : undefined
     }
   })
-  return type
+  jsonSchemaTypes.add(type)
+  return withDefault(type, options)
 }
 
 function NumberType (options = {}) {
-  assertTypeOptions(options, {minimum: 'number', maximum: 'number'})
+  return numberType('number', 'NumberType', options)
+}
+
+function IntegerType (options = {}) {
+  return numberType('integer', 'IntegerType', options)
+}
+
+function numberType (jsonType, typeName, options) {
+  assertTypeOptions(options, {minimum: 'number', maximum: 'number', exclusiveMinimum: 'number', exclusiveMaximum: 'number', multipleOf: 'number'})
+  if (options.multipleOf !== undefined && options.multipleOf <= 0) throw new Error(`${typeName} option multipleOf needs to be greater than 0`)
   let description
-  if (notEmpty(options)) {
-    const optionsDescriptions = []
-    if (options.minimum !== undefined) optionsDescriptions.push(`minimum length ${options.minimum}`)
-    if (options.maximum !== undefined) optionsDescriptions.push(`maximum length ${options.maximum}`)
-    description = `Number with ${optionsDescriptions.join(' and ')}`
-  }
+  const optionsDescriptions = []
+  if (options.minimum !== undefined) optionsDescriptions.push(`minimum ${options.minimum}`)
+  if (options.exclusiveMinimum !== undefined) optionsDescriptions.push(`exclusive minimum ${options.exclusiveMinimum}`)
+  if (options.maximum !== undefined) optionsDescriptions.push(`maximum ${options.maximum}`)
+  if (options.exclusiveMaximum !== undefined) optionsDescriptions.push(`exclusive maximum ${options.exclusiveMaximum}`)
+  if (options.multipleOf !== undefined) optionsDescriptions.push(`multiple of ${options.multipleOf}`)
+  if (notEmpty(optionsDescriptions)) description = `${jsonType === 'integer' ? 'Integer' : 'Number'} with ${optionsDescriptions.join(' and ')}`
   const type = compact({
-    type: 'number',
-    name: (options.name || 'NumberType'),
-    title: (options.title || 'NumberType'),
+    type: jsonType,
+    name: (options.name || typeName),
+    title: (options.title || typeName),
     minimum: options.minimum,
     maximum: options.maximum,
+    exclusiveMinimum: options.exclusiveMinimum,
+    exclusiveMaximum: options.exclusiveMaximum,
+    multipleOf: options.multipleOf,
     description: (options.description || description),
     options,
-    validate: (value) => {
-      if (typeOf(value) !== 'number') return [typeOfError(type, value)]
+    validate: (value, path, validationOptions = {}) => {
+      if (!isOfType(value, jsonType)) return [typeOfError(type, value, {validationOptions})]
       const errors = []
       if (options.minimum !== undefined && value < options.minimum) {
-        errors.push(new TypeError(type, value, `must be at least ${options.minimum} was only ${value}`, {code: 'minimum'}))
+        errors.push(codeError(type, value, 'minimum', {limit: options.minimum, actual: value}, {validationOptions}))
+      }
+      if (options.exclusiveMinimum !== undefined && value <= options.exclusiveMinimum) {
+        errors.push(codeError(type, value, 'exclusiveMinimum', {limit: options.exclusiveMinimum, actual: value}, {validationOptions}))
       }
       if (options.maximum !== undefined && value > options.maximum) {
-        errors.push(new TypeError(type, value, `must be no more than ${options.maximum} but was ${value}`, {code: 'maximum'}))
+        errors.push(codeError(type, value, 'maximum', {limit: options.maximum, actual: value}, {validationOptions}))
+      }
+      if (options.exclusiveMaximum !== undefined && value >= options.exclusiveMaximum) {
+        errors.push(codeError(type, value, 'exclusiveMaximum', {limit: options.exclusiveMaximum, actual: value}, {validationOptions}))
+      }
+      if (options.multipleOf !== undefined && !isMultipleOf(value, options.multipleOf)) {
+        errors.push(codeError(type, value, 'multipleOf', {limit: options.multipleOf, actual: value}, {validationOptions}))
       }
       return notEmpty(errors) ? errors : undefined
     }
   })
-  return type
+  jsonSchemaTypes.add(type)
+  return withDefault(type, options)
+}
+
+// Allows for floating point rounding errors (i.e. 0.3 and 0.1)
+function isMultipleOf (value, multipleOf) {
+  const quotient = value / multipleOf
+  return Math.abs(quotient - Math.round(quotient)) < 1e-9
 }
 
 function BoolType (options = {}) {
@@ -155,25 +429,47 @@ function NullType (options = {}) {
   return TypeOf('null', merge(options, {name: 'NullType'}))
 }
 
+// Values are compared by value, i.e. Enum([{x: 0, y: 0}]) is valid for any object {x: 0, y: 0}
 function Enum (values, options = {}) {
   if (typeOf(values) !== 'array' || values.length === 0) throw new Error('Enum expects a non empty array of values as first argument')
   assertTypeOptions(options)
-  const description = options.description || `Enum(${values.join(', ')})`
+  const description = options.description || `Enum(${values.map(stringify).join(', ')})`
   const type = {
     name: (options.name || 'Enum'),
     title: (options.title || 'Enum'),
     description,
     enum: values,
     options,
-    validate: (value) => {
-      if (!values.includes(value)) {
-        return new TypeError(type, value, `must be one of: ${values.join(', ')}`, {code: 'enum'})
+    validate: (value, path, validationOptions = {}) => {
+      if (!values.some(v => deepEqual(v, value))) {
+        return codeError(type, value, 'enum', {allowedValues: values}, {validationOptions})
       } else {
         return undefined
       }
     }
   }
-  return type
+  jsonSchemaTypes.add(type)
+  return withDefault(type, options)
+}
+
+function Const (constValue, options = {}) {
+  if (constValue === undefined) throw new Error('Const expects a value as first argument')
+  assertTypeOptions(options)
+  const description = options.description || `Const(${stringify(constValue)})`
+  const type = {
+    name: (options.name || 'Const'),
+    title: (options.title || 'Const'),
+    description,
+    const: constValue,
+    options,
+    validate: (value, path, validationOptions = {}) => {
+      if (!deepEqual(constValue, value)) {
+        return codeError(type, value, 'const', {allowedValue: constValue}, {validationOptions})
+      }
+    }
+  }
+  jsonSchemaTypes.add(type)
+  return withDefault(type, options)
 }
 
 function InstanceOf (klass, options = {}) {
@@ -186,15 +482,15 @@ function InstanceOf (klass, options = {}) {
     description,
     arg: klass,
     options,
-    validate: (value) => {
+    validate: (value, path, validationOptions = {}) => {
       if (!(value instanceof klass)) {
-        return new TypeError(type, value, `must be instanceof ${klass.name}`, {code: 'instanceof'})
+        return codeError(type, value, 'instanceof', {className: klass.name}, {validationOptions})
       } else {
         return undefined
       }
     }
   }
-  return type
+  return withDefault(type, options)
 }
 
 function TypeOf (type, options = {}) {
@@ -207,33 +503,53 @@ function TypeOf (type, options = {}) {
     description: (options.description || `TypeOf(${type})`),
     arg: type,
     options,
-    validate: (value) => {
-      if (!array(type).includes(typeOf(value)) && !array(type).includes('any')) {
-        return [typeOfError(_type, value)]
+    validate: (value, path, validationOptions = {}) => {
+      if (!array(type).some(t => isOfType(value, t))) {
+        return [typeOfError(_type, value, {validationOptions})]
       } else {
         return undefined
       }
     }
   })
-  return _type
+  // TypeOf types that are not JSON types (i.e. date) are only described by their validate function
+  if (array(type).every(t => JSON_TYPES.includes(t) || t === 'any')) jsonSchemaTypes.add(_type)
+  return withDefault(_type, options)
 }
 
 function Validate (validate, options = {}) {
   if (typeOf(validate) !== 'function') throw new Error('Validate expects a validation function as its first argument')
   const description = options.description || 'Validate function'
-  return {
+  return withDefault({
     name: (options.name || 'Validate'),
     title: (options.title || validate.name || 'Validate'),
     description,
     options,
     validate
-  }
+  }, options)
 }
 
 function ObjectType (properties, options = {}) {
   if (typeOf(properties) !== 'object' || properties == null) throw new Error('ObjectType expects properties object as its first argument')
-  assertTypeOptions(options, {title: 'string', required: ['string'], additionalProperties: 'boolean', patternProperties: 'object'})
+  assertTypeOptions(options, {
+    title: 'string',
+    required: ['string'],
+    additionalProperties: 'boolean',
+    patternProperties: 'object',
+    removeAdditional: 'boolean',
+    minProperties: 'number',
+    maxProperties: 'number',
+    propertyNames: 'any',
+    dependentRequired: 'object',
+    dependentSchemas: 'object'
+  })
+  Object.keys(options.dependentRequired || {}).forEach(key => {
+    const keys = options.dependentRequired[key]
+    if (typeOf(keys) !== 'array' || keys.some(k => typeOf(k) !== 'string')) throw new Error(`ObjectType option dependentRequired needs an array of keys for ${key}`)
+  })
   properties = mapObj(properties, (k, v) => typeObject(v))
+  const patternProperties = mapObj(options.patternProperties, (k, v) => typeObject(v))
+  const propertyNames = options.propertyNames && typeObject(options.propertyNames)
+  const dependentSchemas = mapObj(options.dependentSchemas, (k, v) => typeObject(v))
   const keysMarkedRequired = Object.keys(properties).filter(key => getIn(typeObject(properties[key]), 'options.isRequired') === true)
   options.required = unique((options.required || []).concat(keysMarkedRequired))
   let description
@@ -246,54 +562,124 @@ function ObjectType (properties, options = {}) {
       return notEmpty(meta) ? `${key} (${meta.join(', ')})` : key
     })
     description = `Object with keys ${keyDescriptions.join(', ')}`
-    if (options.additionalProperties) description += '. Addtional keys are allowed'
+    if (options.additionalProperties) description += '. Additional keys are allowed'
+    if (options.removeAdditional) description += '. Additional keys are removed'
   }
   const type = compact({
     type: 'object',
     name: (options.name || 'ObjectType'),
     title: (options.title || 'ObjectType'),
     description: (options.description || description),
-    properties,
     additionalProperties: options.additionalProperties,
     required: options.required,
+    minProperties: options.minProperties,
+    maxProperties: options.maxProperties,
+    dependentRequired: options.dependentRequired,
     options,
-    validate: (value, path = []) => {
-      if (typeOf(value) !== 'object') return [typeOfError(type, value, {path})]
+    validate: (value, path = [], validationOptions = {}) => {
+      if (typeOf(value) !== 'object') return [typeOfError(type, value, {path, validationOptions})]
       const errors = []
       if (notEmpty(options.required)) {
         const missingKeys = difference(options.required, Object.keys(value))
-        if (notEmpty(missingKeys)) errors.push(new TypeError(type, value, `is missing the following required keys: ${missingKeys.join(', ')}`, {path, code: 'required'}))
+        if (validationOptions.requiredErrors === 'perKey') {
+          missingKeys.forEach(key => {
+            errors.push(codeError(type, undefined, 'required', {missingProperty: key}, {path: path.concat([key]), validationOptions, messageKey: 'requiredKey'}))
+          })
+        } else if (notEmpty(missingKeys)) {
+          errors.push(codeError(type, value, 'required', {missingKeys}, {path, validationOptions}))
+        }
       }
 
-      const keyErrors = flatten(compact(Object.keys(properties).map((key) => {
+      Object.keys(properties).forEach((key) => {
         if (key in value) {
           const keyType = properties[key]
-          return array(typeErrors(keyType, value[key], path.concat([key])))
+          errors.push((checkOptions) => typeErrors(keyType, value[key], nestedTypeOptions(checkOptions, ['properties', key], {path: path.concat([key])})))
         }
-      })))
-      if (notEmpty(keyErrors)) errors.push(keyErrors)
+      })
 
       const patternKeys = {}
-      if (options.patternProperties) {
-        const patternErrors = flatten(compact(Object.keys(value).map((key) => {
-          const pattern = Object.keys(options.patternProperties).find(pattern => key.match(new RegExp(pattern)))
+      if (patternProperties) {
+        Object.keys(value).forEach((key) => {
+          const pattern = Object.keys(patternProperties).find(pattern => key.match(regExp(pattern, validationOptions)))
           if (pattern) {
-            const patternType = options.patternProperties[pattern]
-            return typeErrors(patternType, value[key], path.concat([key]))
+            patternKeys[key] = pattern
+            const patternType = patternProperties[pattern]
+            errors.push((checkOptions) => {
+              return typeErrors(patternType, value[key], nestedTypeOptions(checkOptions, ['patternProperties', pattern], {path: path.concat([key])}))
+            })
           }
-        })))
-        if (notEmpty(patternErrors)) errors.push(patternErrors)
+        })
       }
 
       if (options.additionalProperties === false) {
         const recognizedKeys = Object.keys(properties).concat(Object.keys(patternKeys))
         const invalidKeys = difference(Object.keys(value), recognizedKeys)
-        if (notEmpty(invalidKeys)) errors.push(new TypeError(type, value, `has the following invalid keys: ${invalidKeys.join(', ')}`, {path, code: 'additionalProperties'}))
+        if (notEmpty(invalidKeys)) errors.push(codeError(type, value, 'additionalProperties', {invalidKeys}, {path, validationOptions}))
+      }
+
+      const keyCount = Object.keys(value).length
+      if (options.minProperties !== undefined && keyCount < options.minProperties) {
+        errors.push(codeError(type, value, 'minProperties', {limit: options.minProperties, actual: keyCount}, {path, validationOptions}))
+      }
+      if (options.maxProperties !== undefined && keyCount > options.maxProperties) {
+        errors.push(codeError(type, value, 'maxProperties', {limit: options.maxProperties, actual: keyCount}, {path, validationOptions}))
+      }
+
+      if (propertyNames) {
+        Object.keys(value).forEach((key) => {
+          errors.push((checkOptions) => {
+            const keyErrors = typeErrors(propertyNames, key, nestedTypeOptions(checkOptions, ['propertyNames'], {path: path.concat([key]), maxErrors: 1}))
+            return whenResolved(keyErrors, (keyErrors) => {
+              if (empty(keyErrors)) return undefined
+              return codeError(type, key, 'propertyNames', {propertyName: key, reason: keyErrors[0].message}, {path, validationOptions: checkOptions})
+            })
+          })
+        })
       }
-      return notEmpty(errors) ? flatten(errors) : undefined
+
+      Object.keys(options.dependentRequired || {}).forEach((key) => {
+        if (!(key in value)) return
+        const missingKeys = difference(options.dependentRequired[key], Object.keys(value))
+        const schemaKeys = dependentSchemas && dependentSchemas[key] ? ['dependencies', key, 'required'] : ['dependencies', key]
+        if (notEmpty(missingKeys)) errors.push(codeError(type, value, 'dependentRequired', {property: key, missingKeys}, {path, validationOptions, schemaKeys}))
+      })
+      Object.keys(dependentSchemas || {}).forEach((key) => {
+        const schemaKeys = (options.dependentRequired || {})[key] ? ['dependencies', key, 'allOf', 0] : ['dependencies', key]
+        if (key in value) errors.push((checkOptions) => typeErrors(dependentSchemas[key], value, nestedTypeOptions(checkOptions, schemaKeys, {path})))
+      })
+      return collectErrors(errors, validationOptions)
     }
   })
-  return type
+  // Assigned after compact so that nested types are not stripped of empty values
+  if (notEmpty(properties)) type.properties = properties
+  if (notEmpty(patternProperties)) type.patternProperties = patternProperties
+  if (propertyNames) type.propertyNames = propertyNames
+  if (notEmpty(dependentSchemas)) type.dependentSchemas = dependentSchemas
+  fastCheckCompilers.set(type, (compileNested, compileOptions) => {
+    const FAST_CHECK_OPTIONS = ['name', 'title', 'description', 'isRequired', 'default', 'required', 'additionalProperties', 'patternProperties', 'removeAdditional']
+    if (difference(Object.keys(options), FAST_CHECK_OPTIONS).length > 0) return undefined
+    const keys = Object.keys(properties)
+    const keyChecks = keys.map(key => compileNested(properties[key]))
+    const patterns = Object.keys(patternProperties || {})
+    const patternRegExps = patterns.map(pattern => regExp(pattern, compileOptions))
+    const patternChecks = patterns.map(pattern => compileNested(patternProperties[pattern]))
+    return (value) => {
+      if (typeOf(value) !== 'object') return false
+      const valueKeys = Object.keys(value)
+      if (options.required.some(key => !valueKeys.includes(key))) return false
+      for (let i = 0; i < keys.length; i++) {
+        if (keys[i] in value && !keyChecks[i](value[keys[i]])) return false
+      }
+      for (const key of valueKeys) {
+        const index = patternRegExps.findIndex(regExp => key.match(regExp))
+        if (index !== -1 && !patternChecks[index](value[key])) return false
+        if (options.additionalProperties === false && index === -1 && !keys.includes(key)) return false
+      }
+      return true
+    }
+  })
+  jsonSchemaTypes.add(type)
+  return withDefault(type, options)
 }
 
 function ExactObject (properties, options = {}) {
@@ -322,62 +708,221 @@ function NestedObject (properties, options = {}) {
   return convertNested(properties, options)
 }
 
+const ARRAY_OPTIONS = {minItems: 'number', maxItems: 'number', uniqueItems: 'boolean', contains: 'any', minContains: 'number', maxContains: 'number'}
+
+function assertContainsOptions (options, name) {
+  if ((options.minContains !== undefined || options.maxContains !== undefined) && !options.contains) {
+    throw new Error(`${name} options minContains and maxContains need the contains option`)
+  }
+}
+
+// The indexes of items that are deep equal to an earlier item, mapped to the index of the earliest such item
+function duplicateIndexes (items) {
+  const primitiveIndexes = new Map()
+  const objectIndexes = []
+  const duplicates = new Map()
+  items.forEach((item, index) => {
+    let firstIndex
+    if (item !== null && typeof item === 'object') {
+      const match = objectIndexes.find(i => deepEqual(items[i], item))
+      if (match === undefined) objectIndexes.push(index)
+      firstIndex = match
+    } else {
+      firstIndex = primitiveIndexes.get(item)
+      if (firstIndex === undefined) primitiveIndexes.set(item, index)
+    }
+    if (firstIndex !== undefined) duplicates.set(index, firstIndex)
+  })
+  return duplicates
+}
+
+// The checks of the uniqueItems and contains options of ArrayType and TupleType
+function arrayConstraintChecks (type, value, path, options, validationOptions) {
+  const checks = []
+  if (options.uniqueItems) {
+    duplicateIndexes(value).forEach((firstIndex, index) => {
+      checks.push(codeError(type, value[index], 'uniqueItems', {firstIndex}, {path: path.concat([index]), validationOptions}))
+    })
+  }
+  if (options.contains) {
+    const contains = type.contains
+    checks.push((checkOptions) => {
+      const containsChecks = value.map((item, index) => () => typeErrors(contains, item, nestedTypeOptions(checkOptions, ['contains'], {path: path.concat([index]), maxErrors: 1})))
+      return whenResolved(countValid(containsChecks, checkOptions), (count) => {
+        const minContains = options.minContains !== undefined ? options.minContains : 1
+        const errorOptions = {path, validationOptions: checkOptions}
+        if (count < minContains) {
+          return options.minContains === undefined
+            ? codeError(type, value, 'contains', {containsType: toString(contains)}, errorOptions)
+            : codeError(type, value, 'minContains', {limit: minContains, actual: count, containsType: toString(contains)}, errorOptions)
+        }
+        if (options.maxContains !== undefined && count > options.maxContains) {
+          return codeError(type, value, 'maxContains', {limit: options.maxContains, actual: count, containsType: toString(contains)}, errorOptions)
+        }
+      })
+    })
+  }
+  return checks
+}
+
 function ArrayType (items = 'any', options = {}) {
   items = typeObject(items)
-  assertTypeOptions(options, {minItems: 'number', maxItems: 'number'})
-  const description = options.description || `Array with ${toString(items)}`
+  assertTypeOptions(options, ARRAY_OPTIONS)
+  assertContainsOptions(options, 'ArrayType')
+  let description = `Array with ${toString(items)}`
+  if (options.uniqueItems) description += '. Items are unique'
+  if (options.contains) description += `. Contains ${toString(typeObject(options.contains))}`
+  description = options.description || description
   const type = compact({
     type: 'array',
     name: (options.name || 'ArrayType'),
     title: (options.title || 'ArrayType'),
     description,
-    items: items,
     minItems: options.minItems,
     maxItems: options.maxItems,
+    uniqueItems: options.uniqueItems,
     options,
-    validate: (value, path = []) => {
-      if (!Array.isArray(value)) return [typeOfError(type, value, {path})]
-      const errors = []
-      const itemErrors = flatten(compact(value.map((item, index) => {
-        return typeErrors(items, item, path.concat([index]))
-      })))
-      if (notEmpty(itemErrors)) errors.push(itemErrors)
+    validate: (value, path = [], validationOptions = {}) => {
+      if (!Array.isArray(value)) return [typeOfError(type, value, {path, validationOptions})]
+      const errors = value.map((item, index) => {
+        return (checkOptions) => typeErrors(items, item, nestedTypeOptions(checkOptions, ['items'], {path: path.concat([index])}))
+      })
       if (options.minItems && value.length < options.minItems) {
-        errors.push(new TypeError(type, value, `must have at least ${options.minItems} items but had only ${value.length}`, {path, code: 'minItems'}))
+        errors.push(codeError(type, value, 'minItems', {limit: options.minItems, actual: value.length}, {path, validationOptions}))
       }
-      if (options.maxItems && value.length > options.maxItems) {
-        errors.push(new TypeError(type, value, `must have no more than ${options.maxItems} items but had ${value.length}`, {path, code: 'maxItems'}))
+      if (options.maxItems !== undefined && value.length > options.maxItems) {
+        errors.push(codeError(type, value, 'maxItems', {limit: options.maxItems, actual: value.length}, {path, validationOptions}))
       }
-      return notEmpty(errors) ? flatten(errors) : undefined
+      errors.push(...arrayConstraintChecks(type, value, path, options, validationOptions))
+      return collectErrors(errors, validationOptions)
     }
   })
-  return type
+  type.items = items
+  if (options.contains) type.contains = typeObject(options.contains)
+  fastCheckCompilers.set(type, (compileNested) => {
+    const FAST_CHECK_OPTIONS = ['name', 'title', 'description', 'isRequired', 'default', 'minItems', 'maxItems']
+    if (difference(Object.keys(options), FAST_CHECK_OPTIONS).length > 0) return undefined
+    const itemCheck = compileNested(items)
+    return (value) => {
+      if (!Array.isArray(value)) return false
+      if (options.minItems && value.length < options.minItems) return false
+      if (options.maxItems !== undefined && value.length > options.maxItems) return false
+      return value.every(itemCheck)
+    }
+  })
+  jsonSchemaTypes.add(type)
+  return withDefault(type, options)
+}
+
+function TupleType (items, options = {}) {
+  if (typeOf(items) !== 'array' || empty(items)) throw new Error('TupleType expects non-empty array of item types as its first argument')
+  items = items.map(typeObject)
+  assertTypeOptions(options, merge(ARRAY_OPTIONS, {additionalItems: 'boolean', rest: 'any'}))
+  assertContainsOptions(options, 'TupleType')
+  if (options.rest && options.additionalItems === false) throw new Error('TupleType options rest and additionalItems: false cannot be combined')
+  const rest = options.rest && typeObject(options.rest)
+  const minItems = options.minItems !== undefined ? options.minItems : items.length
+  const restDescription = rest ? `, ...${toString(rest)}` : ''
+  const description = options.description || `Tuple(${items.map(toString).join(', ')}${restDescription})`
+  const type = compact({
+    type: 'array',
+    name: (options.name || 'TupleType'),
+    title: (options.title || 'TupleType'),
+    description,
+    minItems,
+    maxItems: options.maxItems,
+    uniqueItems: options.uniqueItems,
+    options,
+    validate: (value, path = [], validationOptions = {}) => {
+      if (!Array.isArray(value)) return [typeOfError(type, value, {path, validationOptions})]
+      const errors = value.map((item, index) => {
+        const itemType = index < items.length ? items[index] : rest
+        const schemaKeys = index < items.length ? ['items', index] : ['additionalItems']
+        if (itemType) return (checkOptions) => typeErrors(itemType, item, nestedTypeOptions(checkOptions, schemaKeys, {path: path.concat([index])}))
+      })
+      if (value.length < minItems) {
+        errors.push(codeError(type, value, 'minItems', {limit: minItems, actual: value.length}, {path, validationOptions}))
+      }
+      if (options.additionalItems === false && value.length > items.length) {
+        errors.push(codeError(type, value, 'additionalItems', {limit: items.length, actual: value.length}, {path, validationOptions}))
+      }
+      if (options.maxItems !== undefined && value.length > options.maxItems) {
+        errors.push(codeError(type, value, 'maxItems', {limit: options.maxItems, actual: value.length}, {path, validationOptions}))
+      }
+      errors.push(...arrayConstraintChecks(type, value, path, options, validationOptions))
+      return collectErrors(errors, validationOptions)
+    }
+  })
+  type.items = items
+  if (options.contains) type.contains = typeObject(options.contains)
+  if (rest || options.additionalItems !== undefined) type.additionalItems = rest || options.additionalItems
+  fastCheckCompilers.set(type, (compileNested) => {
+    const FAST_CHECK_OPTIONS = ['name', 'title', 'description', 'isRequired', 'default', 'additionalItems', 'rest', 'minItems', 'maxItems']
+    if (difference(Object.keys(options), FAST_CHECK_OPTIONS).length > 0) return undefined
+    const itemChecks = items.map(compileNested)
+    const restCheck = rest && compileNested(rest)
+    return (value) => {
+      if (!Array.isArray(value)) return false
+      if (value.length < minItems) return false
+      if (options.additionalItems === false && value.length > items.length) return false
+      if (options.maxItems !== undefined && value.length > options.maxItems) return false
+      return value.every((item, index) => {
+        const itemCheck = index < items.length ? itemChecks[index] : restCheck
+        return !itemCheck || itemCheck(item)
+      })
+    }
+  })
+  jsonSchemaTypes.add(type)
+  return withDefault(type, options)
+}
+
+// A copy of a type with the given keys (i.e. options) that keeps the registrations of the type
+function wrapType (_typeObject, keys) {
+  const wrappedType = merge(_typeObject, keys)
+  if (fastCheckCompilers.has(_typeObject)) fastCheckCompilers.set(wrappedType, fastCheckCompilers.get(_typeObject))
+  if (jsonSchemaTypes.has(_typeObject)) jsonSchemaTypes.add(wrappedType)
+  return wrappedType
 }
 
 function Required (type) {
   const _typeObject = typeObject(type)
-  const options = merge(_typeObject.options, {isRequired: true})
-  return merge(_typeObject, {options})
+  return wrapType(_typeObject, {options: merge(_typeObject.options, {isRequired: true})})
+}
+
+// Allows null in addition to the values of the type, the JSON type null is added to types that have a JSON type
+function Nullable (type) {
+  if (empty(type)) throw new Error('Nullable expects a type as its first argument')
+  const _typeObject = typeObject(type)
+  const keys = {options: merge(_typeObject.options, {isNullable: true})}
+  if (notEmpty(_typeObject.type)) keys.type = unique(array(_typeObject.type).concat(['null']))
+  return wrapType(_typeObject, keys)
+}
+
+// The opposite of Required, the key may be missing or undefined in an ObjectType
+function Optional (type) {
+  if (empty(type)) throw new Error('Optional expects a type as its first argument')
+  const _typeObject = typeObject(type)
+  return wrapType(_typeObject, {options: merge(_typeObject.options, {isRequired: false, isOptional: true})})
 }
 
 function AllOf (types, options = {}) {
   if (typeOf(types) !== 'array' || empty(types)) throw new Error('AllOf expects non-empty array as its first argument')
   types = types.map(typeObject)
   const description = options.description || `AllOf(${types.map(toString).join(', ')})`
-  return {
+  const type = {
     name: (options.name || 'AllOf'),
     title: (options.title || 'AllOf'),
     description,
+    allOf: types,
     arg: types,
     options,
-    validate: (value) => {
-      for (let type of types) {
-        const errors = typeErrors(type, value)
-        if (errors) return errors
-      }
-      return undefined
+    validate: (value, path = [], validationOptions = {}) => {
+      const checks = types.map((type, index) => () => typeErrors(type, value, nestedTypeOptions(validationOptions, ['allOf', index], {path})))
+      return firstErrors(checks, validationOptions)
     }
   }
+  jsonSchemaTypes.add(type)
+  return withDefault(type, options)
 }
 
 function AnyOf (types, options = {}) {
@@ -388,30 +933,843 @@ function AnyOf (types, options = {}) {
     name: (options.name || 'AnyOf'),
     title: (options.title || 'AnyOf'),
     description,
+    anyOf: types,
     arg: types,
     options,
-    validate: (value) => {
-      const matchingType = types.find((type) => !typeErrors(type, value))
-      if (matchingType) {
-        return undefined
+    validate: (value, path = [], validationOptions = {}) => {
+      const checks = types.map((type, index) => () => typeErrors(type, value, nestedTypeOptions(validationOptions, ['anyOf', index], {path, maxErrors: 1})))
+      return whenResolved(anyValid(checks, validationOptions), (valid) => {
+        return valid ? undefined : codeError(type, value, 'anyOf', {expectedType: description}, {validationOptions})
+      })
+    }
+  }
+  jsonSchemaTypes.add(type)
+  return withDefault(type, options)
+}
+
+// Exactly one of the types needs to be valid, other values get an error with the errors of all types as childErrors
+function OneOf (types, options = {}) {
+  if (typeOf(types) !== 'array' || empty(types)) throw new Error('OneOf expects non-empty array as its first argument')
+  assertTypeOptions(options)
+  types = types.map(typeObject)
+  const description = options.description || `OneOf(${types.map(toString).join(', ')})`
+  const type = {
+    name: (options.name || 'OneOf'),
+    title: (options.title || 'OneOf'),
+    description,
+    oneOf: types,
+    arg: types,
+    options,
+    validate: (value, path = [], validationOptions = {}) => {
+      const checks = types.map((type, index) => () => typeErrors(type, value, nestedTypeOptions(validationOptions, ['oneOf', index], {path})))
+      return whenResolved(allResults(checks, validationOptions), (results) => {
+        const matches = types.filter((t, index) => empty(results[index]))
+        if (matches.length === 1) return undefined
+        if (empty(matches)) {
+          return codeError(type, value, 'oneOf', {expectedType: description}, {path, validationOptions, childErrors: flatten(results.map(array))})
+        }
+        const matchingIndexes = types.map((t, index) => index).filter(index => empty(results[index]))
+        const matchingTypes = matchingIndexes.map(index => `${toString(types[index])} (index ${index})`)
+        return codeError(type, value, 'oneOf', {matchingIndexes, matchingTypes}, {path, validationOptions, messageKey: 'oneOfMatches'})
+      })
+    }
+  }
+  jsonSchemaTypes.add(type)
+  return withDefault(type, options)
+}
+
+function Not (notType, options = {}) {
+  if (empty(notType)) throw new Error('Not expects a type as its first argument')
+  assertTypeOptions(options)
+  notType = typeObject(notType)
+  const description = options.description || `Not(${toString(notType)})`
+  const type = {
+    name: (options.name || 'Not'),
+    title: (options.title || 'Not'),
+    description,
+    not: notType,
+    arg: notType,
+    options,
+    validate: (value, path = [], validationOptions = {}) => {
+      const errors = typeErrors(notType, value, nestedTypeOptions(validationOptions, ['not'], {path, maxErrors: 1}))
+      return whenResolved(errors, (errors) => {
+        if (empty(errors)) return codeError(type, value, 'not', {notType: toString(notType)}, {path, validationOptions})
+      })
+    }
+  }
+  jsonSchemaTypes.add(type)
+  return withDefault(type, options)
+}
+
+function OneOfTagged (tag, types, options = {}) {
+  if (typeOf(tag) !== 'string' || empty(tag)) throw new Error('OneOfTagged expects a tag key string as its first argument')
+  if (typeOf(types) !== 'object' || empty(types)) throw new Error('OneOfTagged expects non-empty object of types as its second argument')
+  assertTypeOptions(options)
+  types = mapObj(types, (k, v) => typeObject(v))
+  const tags = Object.keys(types)
+  const description = options.description || `OneOfTagged(${tag}: ${tags.map(t => `${t} => ${toString(types[t])}`).join(', ')})`
+  const type = {
+    type: 'object',
+    name: (options.name || 'OneOfTagged'),
+    title: (options.title || 'OneOfTagged'),
+    description,
+    discriminator: {propertyName: tag},
+    anyOf: tags.map(t => types[t]),
+    arg: types,
+    options,
+    validate: (value, path = [], validationOptions = {}) => {
+      if (typeOf(value) !== 'object') return [typeOfError(type, value, {path, validationOptions})]
+      if (!tags.includes(value[tag])) {
+        const schemaKeys = tag in value ? ['properties', tag, 'enum'] : ['required']
+        return codeError(type, value[tag], 'discriminator', {tag, allowedValues: tags}, {path: path.concat([tag]), validationOptions, schemaKeys})
+      }
+      return typeErrors(types[value[tag]], value, nestedTypeOptions(validationOptions, ['anyOf', tags.indexOf(value[tag]), 'allOf', 1], {path}))
+    }
+  }
+  jsonSchemaTypes.add(type)
+  return withDefault(type, options)
+}
+
+// Values of ifType need to be of thenType and other values of elseType, a missing branch allows any value
+function IfThenElse (ifType, thenType, elseType, options = {}) {
+  if (empty(ifType)) throw new Error('IfThenElse expects a type as its first argument')
+  if (empty(thenType) && empty(elseType)) throw new Error('IfThenElse expects a then or an else type')
+  assertTypeOptions(options)
+  ifType = typeObject(ifType)
+  thenType = empty(thenType) ? undefined : typeObject(thenType)
+  elseType = empty(elseType) ? undefined : typeObject(elseType)
+  const branches = [`if ${toString(ifType)}`, thenType && `then ${toString(thenType)}`, elseType && `else ${toString(elseType)}`]
+  const description = options.description || `IfThenElse(${branches.filter(notEmpty).join(' ')})`
+  const type = {
+    name: (options.name || 'IfThenElse'),
+    title: (options.title || 'IfThenElse'),
+    description,
+    if: ifType,
+    then: thenType,
+    else: elseType,
+    arg: [ifType, thenType, elseType],
+    options,
+    validate: (value, path = [], validationOptions = {}) => {
+      const ifErrors = typeErrors(ifType, value, nestedTypeOptions(validationOptions, ['if'], {path, maxErrors: 1}))
+      return whenResolved(ifErrors, (errors) => {
+        const branch = errors ? elseType : thenType
+        return branch && typeErrors(branch, value, nestedTypeOptions(validationOptions, [errors ? 'else' : 'then'], {path}))
+      })
+    }
+  }
+  jsonSchemaTypes.add(type)
+  return withDefault(type, options)
+}
+
+// A reference by name to a type in a TypeRegistry, looked up at validation time
+function Ref (name, options = {}) {
+  if (typeOf(name) !== 'string' || empty(name)) throw new Error('Ref expects a type name string as its first argument')
+  assertTypeOptions(options, {registry: 'object'})
+  const type = {
+    name: (options.name || 'Ref'),
+    title: (options.title || name),
+    description: (options.description || `Ref(${name})`),
+    $ref: `#/definitions/${name}`,
+    arg: name,
+    options,
+    validate: (value, path = [], validationOptions = {}) => {
+      const registry = options.registry || validationOptions.registry
+      if (!registry) throw new Error(`Ref(${name}) is not bound to a registry, use registry.Ref or the registry option of typeErrors`)
+      return refTypeErrors(type, registry.resolve(name), value, merge(validationOptions, {path, registry}), ['definitions', name])
+    }
+  }
+  jsonSchemaTypes.add(type)
+  return withDefault(type, options)
+}
+
+// Validates a value with the type of a Ref or Lazy type, a value validated with the same type further up is a cycle
+function refTypeErrors (type, refType, value, options, schemaPath) {
+  const refs = options.refs || []
+  if (refs.some(ref => ref.type === refType && ref.value === value)) {
+    return codeError(type, value, 'cycle', {ref: toString(type)}, {path: options.path, validationOptions: options})
+  }
+  return typeErrors(refType, value, merge(options, {refs: refs.concat([{type: refType, value}]), schemaPath}))
+}
+
+// The name of the type returned by a Lazy function like () => TreeNode
+function lazyName (getType) {
+  const match = getType.toString().match(/^\(\)\s*=>\s*([\w$.]+)$/)
+  return (match && !['undefined', 'null'].includes(match[1])) ? match[1] : undefined
+}
+
+// A type returned by a function at validation time, i.e. Lazy(() => TreeNode)
+function Lazy (getType, options = {}) {
+  if (typeOf(getType) !== 'function') throw new Error('Lazy expects a function that returns a type as its first argument')
+  assertTypeOptions(options)
+  let resolved
+  const resolve = () => {
+    if (!resolved) {
+      const lazyType = getType()
+      if (empty(lazyType)) throw new Error(`The function of ${type.description} returned ${typeOf(lazyType)} instead of a type`)
+      resolved = typeObject(lazyType)
+    }
+    return resolved
+  }
+  const title = options.title || lazyName(getType) || 'Lazy'
+  const type = {
+    name: (options.name || 'Lazy'),
+    title,
+    description: (options.description || `Lazy(${title})`),
+    lazy: resolve,
+    options,
+    validate: (value, path = [], validationOptions = {}) => {
+      const schemaPath = resolve() === validationOptions.schemaRoot ? [] : ['definitions', title]
+      return refTypeErrors(type, resolve(), value, merge(validationOptions, {path}), schemaPath)
+    }
+  }
+  return withDefault(type, options)
+}
+
+function TypeRegistry (types = {}) {
+  if (typeOf(types) !== 'object') throw new Error('TypeRegistry expects an object of types as its first argument')
+  const definitions = {}
+  const registry = {
+    define: (name, type) => {
+      if (typeOf(name) !== 'string' || empty(name)) throw new Error('TypeRegistry define expects a type name string as its first argument')
+      if (registry.has(name)) throw new Error(`TypeRegistry already has a type named ${name}`)
+      definitions[name] = typeObject(type)
+      return registry.Ref(name)
+    },
+    has: (name) => definitions.hasOwnProperty(name),
+    names: () => Object.keys(definitions),
+    resolve: (name) => {
+      if (!registry.has(name)) throw new Error(`TypeRegistry has no type named ${name}`)
+      return definitions[name]
+    },
+    Ref: (name, options = {}) => Ref(name, merge(options, {registry})),
+    toJSONSchema: (options = {}) => jsonSchemaDocument(merge(options, {registry}), (context) => {
+      registry.names().forEach(name => context.refs.set(name, {type: () => registry.resolve(name), registry}))
+      return {}
+    })
+  }
+  Object.keys(types).forEach(name => registry.define(name, types[name]))
+  return registry
+}
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/
+
+const DECIMAL_PATTERN = /^[-+]?(\d+(\.\d*)?|\.\d+)$/
+
+// Converters from query string and form values to typeOf types, undefined if the value cannot be converted
+const COERCIONS = {
+  number: (value) => {
+    // NOTE: decimal notation only, Number also converts '0x1A' and '1e3'
+    if (typeOf(value) !== 'string' || !DECIMAL_PATTERN.test(value)) return undefined
+    return Number(value)
+  },
+  integer: (value) => {
+    const number = COERCIONS.number(value)
+    return Number.isInteger(number) ? number : undefined
+  },
+  boolean: (value) => {
+    if (value === 'true') return true
+    if (value === 'false') return false
+    return undefined
+  },
+  string: (value) => ['number', 'boolean'].includes(typeOf(value)) ? String(value) : undefined,
+  null: (value) => ['', 'null'].includes(value) ? null : undefined,
+  date: (value) => {
+    if (typeOf(value) !== 'string' || !value.match(ISO_DATE_PATTERN)) return undefined
+    const date = new Date(value)
+    return isNaN(date.getTime()) ? undefined : date
+  },
+  array: (value) => value === undefined ? undefined : [value]
+}
+
+// The type of an item at a given index in an ArrayType or TupleType
+function itemType (type, index) {
+  if (!isArray(type.items)) return type.items
+  if (index < type.items.length) return type.items[index]
+  return typeOf(type.additionalItems) === 'object' ? type.additionalItems : undefined
+}
+
+// The type of the value of a given key in an ObjectType (from properties or patternProperties)
+function propertyType (type, key) {
+  if (type.properties && hasOwn(type.properties, key)) return type.properties[key]
+  const patternProperties = type.patternProperties || {}
+  const pattern = Object.keys(patternProperties).find(pattern => key.match(new RegExp(pattern)))
+  return pattern && patternProperties[pattern]
+}
+
+// The type picked by the tag key of a value in a OneOfTagged type
+function taggedType (type, value) {
+  const tag = type.discriminator.propertyName
+  if (typeOf(value) === 'object' && hasOwn(type.arg, value[tag])) return type.arg[value[tag]]
+}
+
+// The then or else type of an IfThenElse type for the given value (undefined if the branch is missing)
+function conditionalType (type, value, options = {}) {
+  return typeErrors(type.if, value, {registry: options.registry, maxErrors: 1}) ? type.else : type.then
+}
+
+// Whether unknown keys should be removed from an object value of the given type
+function removesAdditional (type, options = {}) {
+  if (!type.properties && !type.patternProperties) return false
+  if (options.removeAdditional === 'all') return type.additionalProperties !== true
+  return getIn(type, 'options.removeAdditional') === true
+}
+
+function coercionTypes (type) {
+  if (notEmpty(type.type)) return array(type.type)
+  if (type.arg === Date) return ['date']
+  if (['string', 'array'].includes(typeOf(type.arg)) && array(type.arg).every(t => typeOf(t) === 'string')) return array(type.arg)
+  return []
+}
+
+// Like typeObject but resolves refs and lazy types, also returns the options for nested types
+function resolveRefs (type, options = {}) {
+  let _typeObject = typeObject(type)
+  const seen = new Set()
+  while (!seen.has(_typeObject)) {
+    seen.add(_typeObject)
+    const registry = getIn(_typeObject, 'options.registry') || options.registry
+    if (_typeObject.lazy) {
+      _typeObject = _typeObject.lazy()
+    } else if (_typeObject.$ref && typeOf(_typeObject.arg) === 'string' && registry) {
+      options = merge(options, {registry})
+      _typeObject = typeObject(registry.resolve(_typeObject.arg))
+    }
+  }
+  return [_typeObject, options]
+}
+
+function coerceValue (type, value, options = {}) {
+  const [_typeObject, nestedOptions] = resolveRefs(type, options)
+  if (_typeObject.allOf) return _typeObject.allOf.reduce((result, t) => coerceValue(t, result, nestedOptions), value)
+  if (_typeObject.discriminator) {
+    const branch = taggedType(_typeObject, value)
+    return branch ? coerceValue(branch, value, nestedOptions) : value
+  }
+  if (_typeObject.if) {
+    const branch = conditionalType(_typeObject, value, nestedOptions)
+    return branch ? coerceValue(branch, value, nestedOptions) : value
+  }
+  if (_typeObject.anyOf) {
+    if (!typeErrors(_typeObject, value, {registry: nestedOptions.registry})) return value
+    for (const t of _typeObject.anyOf) {
+      const result = coerceValue(t, value, nestedOptions)
+      if (!typeErrors(t, result, {registry: nestedOptions.registry})) return result
+    }
+    return value
+  }
+  if (_typeObject.oneOf) {
+    if (!typeErrors(_typeObject, value, {registry: nestedOptions.registry})) return value
+    for (const t of _typeObject.oneOf) {
+      const result = coerceValue(t, value, nestedOptions)
+      if (!typeErrors(_typeObject, result, {registry: nestedOptions.registry})) return result
+    }
+    return value
+  }
+  if (_typeObject.enum || _typeObject.const !== undefined) {
+    const values = _typeObject.enum || [_typeObject.const]
+    if (values.some(v => deepEqual(v, value)) || typeOf(value) !== 'string') return value
+    const match = values.find(v => ['number', 'boolean', 'null'].includes(typeOf(v)) && String(v) === value)
+    return match !== undefined ? match : value
+  }
+  const types = coercionTypes(_typeObject)
+  if (notEmpty(types) && !types.includes('any') && !types.includes(typeOf(value))) {
+    for (const t of types) {
+      const result = COERCIONS[t] && COERCIONS[t](value)
+      if (result !== undefined) {
+        value = result
+        break
+      }
+    }
+  }
+  if (Array.isArray(value) && _typeObject.items) {
+    return value.map((item, index) => {
+      const _itemType = itemType(_typeObject, index)
+      return _itemType ? coerceValue(_itemType, item, nestedOptions) : item
+    })
+  }
+  if (isObject(value) && (_typeObject.properties || _typeObject.patternProperties)) {
+    return Object.keys(value).reduce((result, key) => {
+      const keyType = propertyType(_typeObject, key)
+      if (keyType) {
+        setKey(result, key, coerceValue(keyType, value[key], nestedOptions))
+      } else if (!removesAdditional(_typeObject)) {
+        setKey(result, key, value[key])
+      }
+      return result
+    }, {})
+  }
+  return value
+}
+
+function coerce (type, value, options = {}) {
+  const result = coerceValue(type, value, options)
+  return {value: result, errors: typeErrors(type, result, options)}
+}
+
+function applyDefaults (type, value, options = {}) {
+  const [_typeObject, nestedOptions] = resolveRefs(type, options)
+  if (value === undefined) value = clone(_typeObject.default)
+  if (_typeObject.allOf) return _typeObject.allOf.reduce((result, t) => applyDefaults(t, result, nestedOptions), value)
+  if (_typeObject.discriminator) {
+    const branch = taggedType(_typeObject, value)
+    return branch ? applyDefaults(branch, value, nestedOptions) : value
+  }
+  if (_typeObject.if) {
+    const branch = conditionalType(_typeObject, value, nestedOptions)
+    return branch ? applyDefaults(branch, value, nestedOptions) : value
+  }
+  if (Array.isArray(value) && _typeObject.items) {
+    const result = value.map((item, index) => {
+      const _itemType = itemType(_typeObject, index)
+      return _itemType ? applyDefaults(_itemType, item, nestedOptions) : item
+    })
+    // Missing positions in a TupleType are filled in as long as they have defaults
+    for (let index = result.length; isArray(_typeObject.items) && index < _typeObject.items.length; index++) {
+      const item = applyDefaults(_typeObject.items[index], undefined, nestedOptions)
+      if (item === undefined) break
+      result.push(item)
+    }
+    return result
+  }
+  if (isObject(value) && (_typeObject.properties || _typeObject.patternProperties)) {
+    const keys = unique(Object.keys(value).concat(Object.keys(_typeObject.properties || {})))
+    return keys.reduce((result, key) => {
+      const keyType = propertyType(_typeObject, key)
+      const ownValue = hasOwn(value, key) ? value[key] : undefined
+      const keyValue = keyType ? applyDefaults(keyType, ownValue, nestedOptions) : ownValue
+      if (keyValue !== undefined || hasOwn(value, key)) setKey(result, key, keyValue)
+      return result
+    }, {})
+  }
+  return value
+}
+
+function stripValue (type, value, options) {
+  const [_typeObject, nestedOptions] = resolveRefs(type, options)
+  if (_typeObject.discriminator) {
+    const branch = taggedType(_typeObject, value)
+    return branch ? stripValue(branch, value, nestedOptions) : clone(value)
+  }
+  if (_typeObject.anyOf || _typeObject.oneOf) {
+    const branch = (_typeObject.anyOf || _typeObject.oneOf).find(t => !typeErrors(t, value, {registry: nestedOptions.registry}))
+    return branch ? stripValue(branch, value, nestedOptions) : clone(value)
+  }
+  if (_typeObject.allOf || _typeObject.if) {
+    // A key is kept if any of the object types declares it (for IfThenElse the if type and the chosen branch)
+    const types = _typeObject.allOf || [_typeObject.if, conditionalType(_typeObject, value, nestedOptions)].filter(Boolean)
+    const objectTypes = types.map(typeObject).filter(t => t.properties || t.patternProperties)
+    if (!isObject(value) || empty(objectTypes)) return clone(value)
+    return objectTypes.map(t => stripValue(t, value, nestedOptions)).reduce((result, stripped) => {
+      Object.keys(stripped).forEach(key => setKey(result, key, stripped[key]))
+      return result
+    }, {})
+  }
+  if (Array.isArray(value) && _typeObject.items) {
+    return value.map((item, index) => {
+      const _itemType = itemType(_typeObject, index)
+      return _itemType ? stripValue(_itemType, item, nestedOptions) : clone(item)
+    })
+  }
+  if (isObject(value) && (_typeObject.properties || _typeObject.patternProperties)) {
+    return Object.keys(value).reduce((result, key) => {
+      const keyType = propertyType(_typeObject, key)
+      if (keyType) {
+        setKey(result, key, stripValue(keyType, value[key], nestedOptions))
+      } else if (!removesAdditional(_typeObject, nestedOptions)) {
+        setKey(result, key, clone(value[key]))
+      }
+      return result
+    }, {})
+  }
+  return clone(value)
+}
+
+function strip (type, value, options = {}) {
+  return stripValue(type, value, merge(options, {removeAdditional: 'all'}))
+}
+
+// The JSON schema keywords that fromJSONSchema supports for each JSON type
+const JSON_SCHEMA_KEYWORDS = {
+  string: ['minLength', 'maxLength', 'pattern', 'format'],
+  number: ['minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf'],
+  integer: ['minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf'],
+  boolean: [],
+  null: [],
+  array: ['items', 'additionalItems', 'minItems', 'maxItems', 'uniqueItems', 'contains', 'minContains', 'maxContains'],
+  object: [
+    'properties', 'required', 'additionalProperties', 'patternProperties', 'minProperties', 'maxProperties', 'propertyNames',
+    'dependencies', 'dependentRequired', 'dependentSchemas'
+  ]
+}
+const JSON_SCHEMA_ANNOTATIONS = ['$schema', '$id', 'id', '$comment', 'title', 'description', 'default', 'examples', 'definitions', '$defs']
+
+function resolveRef (ref, pointer, context) {
+  if (typeOf(ref) !== 'string' || !ref.startsWith('#')) {
+    context.unsupported.push(`${jsonPointer(pointer, '$ref')} (only local references are supported)`)
+  } else {
+    const path = ref.substring(1).split('/').filter(notEmpty).map(key => decodeURIComponent(key).replace(/~1/g, '/').replace(/~0/g, '~'))
+    // A recursive reference is lazy since the type it refers to is created once its schema has been converted
+    if (context.refs.includes(ref)) return Lazy(() => context.types.get(ref), {title: path[path.length - 1] || 'Root'})
+    const schema = path.reduce((result, key) => result === undefined ? undefined : result[key], context.root)
+    if (schema !== undefined) {
+      const type = schemaType(schema, ref, merge(context, {refs: context.refs.concat([ref])}))
+      context.types.set(ref, type)
+      return type
+    }
+    context.unsupported.push(`${jsonPointer(pointer, '$ref')} (${ref} not found)`)
+  }
+  return TypeOf('any')
+}
+
+// Returns functions that create the type of a JSON type (i.e. 'string') given type options
+function jsonTypeBuilder (jsonType, schema, pointer, context) {
+  const limits = (keys) => keys.reduce((result, key) => {
+    if (schema[key] !== undefined) result[key] = schema[key]
+    return result
+  }, {})
+  if (jsonType === 'string') {
+    if (schema.format !== undefined && !hasFormat(schema.format)) {
+      context.unsupported.push(`${jsonPointer(pointer, 'format')} (unknown format ${schema.format})`)
+      return (options) => StringType(merge(limits(['minLength', 'maxLength', 'pattern']), options))
+    }
+    return (options) => StringType(merge(limits(['minLength', 'maxLength', 'pattern', 'format']), options))
+  }
+  if (jsonType === 'number' || jsonType === 'integer') {
+    const numberOptions = limits(['minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf'])
+    for (const key of ['exclusiveMinimum', 'exclusiveMaximum'].filter(key => typeOf(numberOptions[key]) === 'boolean')) {
+      context.unsupported.push(`${jsonPointer(pointer, key)} (draft-04 booleans are not supported)`)
+      delete numberOptions[key]
+    }
+    const Type = jsonType === 'integer' ? IntegerType : NumberType
+    return (options) => Type(merge(numberOptions, options))
+  }
+  if (jsonType === 'boolean') return (options) => BoolType(options)
+  if (jsonType === 'null') return (options) => NullType(options)
+  if (jsonType === 'array') {
+    const arrayOptions = limits(['minItems', 'maxItems', 'uniqueItems', 'minContains', 'maxContains'])
+    if (schema.contains !== undefined) arrayOptions.contains = schemaType(schema.contains, jsonPointer(pointer, 'contains'), context)
+    // Without positional items all items are additional items
+    if (isArray(schema.items) && empty(schema.items)) {
+      if (schema.additionalItems === false) arrayOptions.maxItems = 0
+      const items = typeOf(schema.additionalItems) === 'object' ? schemaType(schema.additionalItems, jsonPointer(pointer, 'additionalItems'), context) : 'any'
+      return (options) => ArrayType(items, merge(arrayOptions, options))
+    }
+    if (isArray(schema.items)) {
+      const items = schema.items.map((item, index) => schemaType(item, jsonPointer(pointer, 'items', index), context))
+      const tupleOptions = merge(arrayOptions, {minItems: schema.minItems || 0})
+      if (schema.additionalItems === false) tupleOptions.additionalItems = false
+      if (typeOf(schema.additionalItems) === 'object') tupleOptions.rest = schemaType(schema.additionalItems, jsonPointer(pointer, 'additionalItems'), context)
+      return (options) => TupleType(items, merge(tupleOptions, options))
+    }
+    const items = schema.items === undefined ? 'any' : schemaType(schema.items, jsonPointer(pointer, 'items'), context)
+    return (options) => ArrayType(items, merge(arrayOptions, options))
+  }
+  if (jsonType === 'object') {
+    const properties = mapObj(schema.properties || {}, (key, property) => schemaType(property, jsonPointer(pointer, 'properties', key), context))
+    const objectOptions = limits(['required', 'minProperties', 'maxProperties'])
+    if (schema.propertyNames !== undefined) objectOptions.propertyNames = schemaType(schema.propertyNames, jsonPointer(pointer, 'propertyNames'), context)
+    // Dependencies (draft-07) are either arrays of required keys or schemas
+    const dependentRequired = merge(schema.dependentRequired, {})
+    const dependentSchemas = mapObj(schema.dependentSchemas, (key, s) => schemaType(s, jsonPointer(pointer, 'dependentSchemas', key), context)) || {}
+    Object.keys(schema.dependencies || {}).forEach(key => {
+      const dependency = schema.dependencies[key]
+      if (isArray(dependency)) {
+        dependentRequired[key] = dependency
       } else {
-        return new TypeError(type, value, `must be of type ${description}`)
+        dependentSchemas[key] = schemaType(dependency, jsonPointer(pointer, 'dependencies', key), context)
       }
+    })
+    if (notEmpty(dependentRequired)) objectOptions.dependentRequired = dependentRequired
+    if (notEmpty(dependentSchemas)) objectOptions.dependentSchemas = dependentSchemas
+    if (notEmpty(schema.patternProperties)) {
+      objectOptions.patternProperties = mapObj(schema.patternProperties, (pattern, property) => schemaType(property, jsonPointer(pointer, 'patternProperties', pattern), context))
+    }
+    if (typeOf(schema.additionalProperties) === 'boolean') {
+      objectOptions.additionalProperties = schema.additionalProperties
+    } else if (schema.additionalProperties !== undefined) {
+      context.unsupported.push(`${jsonPointer(pointer, 'additionalProperties')} (only booleans are supported)`)
+    }
+    return (options) => ObjectType(properties, merge(objectOptions, options))
+  }
+}
+
+function schemaType (schema, pointer, context) {
+  if (schema === true) return TypeOf('any')
+  if (!isObject(schema)) {
+    context.unsupported.push(`${pointer} (schemas need to be objects or true)`)
+    return TypeOf('any')
+  }
+  // Without a type keyword the type is inferred from the keywords used (i.e. properties means object)
+  const jsonTypes = schema.type !== undefined ? array(schema.type) : Object.keys(JSON_SCHEMA_KEYWORDS).filter(t => {
+    return t !== 'integer' && JSON_SCHEMA_KEYWORDS[t].some(key => key in schema)
+  })
+  const unknownTypes = jsonTypes.filter(t => !JSON_SCHEMA_KEYWORDS.hasOwnProperty(t))
+  if (notEmpty(unknownTypes)) context.unsupported.push(`${jsonPointer(pointer, 'type')} (unknown type ${unknownTypes.join(', ')})`)
+  const knownTypes = difference(jsonTypes, unknownTypes)
+  const supportedKeywords = ['type', 'enum', 'const', 'allOf', 'anyOf', 'oneOf', 'not', 'if', 'then', 'else', '$ref'].concat(JSON_SCHEMA_ANNOTATIONS, flatten(knownTypes.map(t => JSON_SCHEMA_KEYWORDS[t])))
+  difference(Object.keys(schema), supportedKeywords).forEach(key => context.unsupported.push(jsonPointer(pointer, key)))
+
+  const builders = []
+  if (schema.$ref !== undefined) builders.push(() => resolveRef(schema.$ref, pointer, context))
+  if (schema.enum !== undefined) {
+    if (isArray(schema.enum) && notEmpty(schema.enum)) {
+      builders.push((options) => Enum(schema.enum, options))
+    } else {
+      context.unsupported.push(`${jsonPointer(pointer, 'enum')} (needs to be a non-empty array)`)
+    }
+  }
+  if (schema.const !== undefined) builders.push((options) => Const(schema.const, options))
+  // The type of an enum or const only needs to be checked if it allows values of other types
+  const hasTypeKeywords = knownTypes.some(t => JSON_SCHEMA_KEYWORDS[t].some(key => key in schema))
+  const values = (isArray(schema.enum) ? schema.enum : []).concat(schema.const !== undefined ? [schema.const] : [])
+  const enumHasType = notEmpty(values) && values.every(value => knownTypes.includes(typeOf(value)))
+  if (notEmpty(knownTypes) && (hasTypeKeywords || !enumHasType)) {
+    if (knownTypes.length === 1) {
+      builders.push(jsonTypeBuilder(knownTypes[0], schema, pointer, context))
+    } else if (!hasTypeKeywords && knownTypes.every(t => JSON_TYPES.includes(t))) {
+      builders.push((options) => TypeOf(knownTypes, options))
+    } else if (knownTypes.length === 2 && knownTypes.includes('null')) {
+      const builder = jsonTypeBuilder(knownTypes.find(t => t !== 'null'), schema, pointer, context)
+      builders.push((options) => Nullable(builder(options)))
+    } else {
+      const types = knownTypes.map(t => jsonTypeBuilder(t, schema, pointer, context)({}))
+      builders.push((options) => AnyOf(types, options))
+    }
+  }
+  for (const [keyword, Type] of [['allOf', AllOf], ['anyOf', AnyOf], ['oneOf', OneOf]]) {
+    if (schema[keyword] === undefined) continue
+    if (isArray(schema[keyword]) && notEmpty(schema[keyword])) {
+      const types = schema[keyword].map((s, index) => schemaType(s, jsonPointer(pointer, keyword, index), context))
+      builders.push((options) => Type(types, options))
+    } else {
+      context.unsupported.push(`${jsonPointer(pointer, keyword)} (needs to be a non-empty array)`)
     }
   }
+  if (schema.not !== undefined) {
+    const notType = schemaType(schema.not, jsonPointer(pointer, 'not'), context)
+    builders.push((options) => Not(notType, options))
+  }
+  if (schema.if !== undefined && (schema.then !== undefined || schema.else !== undefined)) {
+    const [ifType, thenType, elseType] = ['if', 'then', 'else'].map(keyword => {
+      if (schema[keyword] !== undefined) return schemaType(schema[keyword], jsonPointer(pointer, keyword), context)
+    })
+    builders.push((options) => IfThenElse(ifType, thenType, elseType, options))
+  }
+
+  const options = {}
+  if (typeOf(schema.title) === 'string') options.title = schema.title
+  if (typeOf(schema.description) === 'string') options.description = schema.description
+  if (schema.default !== undefined) options.default = schema.default
+  if (builders.length === 0) return TypeOf('any', options)
+  // A referenced type gets its options by wrapping
+  if (builders.length === 1 && (schema.$ref === undefined || empty(options))) return builders[0](options)
+  return AllOf(builders.map(builder => builder({})), options)
+}
+
+// Creates a type from a JSON schema, unsupported keywords (i.e. contentEncoding) throw an error listing their locations
+function fromJSONSchema (schema) {
+  if (!isObject(schema) && schema !== true) throw new Error('fromJSONSchema expects a JSON schema object as its first argument')
+  const context = {root: schema, refs: ['#'], types: new Map(), unsupported: []}
+  const type = schemaType(schema, '#', context)
+  context.types.set('#', type)
+  if (notEmpty(context.unsupported)) {
+    throw new Error(`fromJSONSchema does not support the following keywords: ${context.unsupported.join(', ')}`)
+  }
   return type
 }
 
+const JSON_SCHEMA_DRAFTS = {
+  'draft-06': 'http://json-schema.org/draft-06/schema#',
+  'draft-07': 'http://json-schema.org/draft-07/schema#'
+}
+// Keywords of types that toJSONSchema copies as they are (keywords with nested types are converted separately)
+const JSON_SCHEMA_VALUE_KEYWORDS = [
+  'type', 'enum', 'const', 'minLength', 'maxLength', 'pattern', 'format', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum',
+  'multipleOf', 'minItems', 'maxItems', 'uniqueItems', 'minProperties', 'maxProperties'
+]
+
+// The name of a validate function that is not described by JSON schema keywords, i.e. InstanceOf(Date)
+function validateName (type) {
+  if (typeOf(type.arg) === 'function') return `InstanceOf(${type.arg.name})`
+  if (['string', 'array'].includes(typeOf(type.arg))) return `TypeOf(${array(type.arg).join('|')})`
+  return type.title || type.name || 'validate'
+}
+
+// The definition name of the type returned by a Lazy type, types with the same name get a number suffix (i.e. Node2)
+function lazyDefinitionName (type, context) {
+  const lazyType = type.lazy()
+  const entry = Array.from(context.refs).find(([name, ref]) => ref.lazyType === lazyType)
+  if (entry) return entry[0]
+  let name = type.title
+  for (let i = 2; context.refs.has(name); i++) name = `${type.title}${i}`
+  context.refs.set(name, {type: () => lazyType, lazyType})
+  return name
+}
+
+function typeSchema (type, context) {
+  const _typeObject = typeObject(type)
+  const schema = typeKeywordsSchema(_typeObject, context)
+  if (!wrapsNullable(_typeObject)) return schema
+  const nullableSchema = {}
+  for (const key of ['title', 'description', 'default'].filter(key => key in schema)) {
+    nullableSchema[key] = schema[key]
+    delete schema[key]
+  }
+  return merge(nullableSchema, {anyOf: [schema, {type: 'null'}]})
+}
+
+// Nullable types without a JSON type (i.e. Enum) allow null with anyOf, OneOfTagged types are exported with type object
+function wrapsNullable (_typeObject) {
+  if (getIn(_typeObject, 'options.isNullable') !== true) return false
+  return Boolean(_typeObject.discriminator) || !array(_typeObject.type).includes('null')
+}
+
+function typeKeywordsSchema (_typeObject, context) {
+  if (_typeObject.lazy) return {$ref: _typeObject.lazy() === context.root ? '#' : `#/definitions/${lazyDefinitionName(_typeObject, context)}`}
+  // Titles and descriptions generated by built-in types are left out
+  const annotations = _typeObject.options || (_typeObject.name ? {} : _typeObject)
+  const schema = {}
+  if (typeOf(annotations.title) === 'string') schema.title = annotations.title
+  if (typeOf(annotations.description) === 'string') schema.description = annotations.description
+  if (_typeObject.default !== undefined) schema.default = clone(_typeObject.default)
+  if (_typeObject.discriminator && jsonSchemaTypes.has(_typeObject)) {
+    const tag = _typeObject.discriminator.propertyName
+    const tags = Object.keys(_typeObject.arg)
+    return merge(schema, {
+      type: 'object',
+      required: [tag],
+      properties: {[tag]: {enum: tags}},
+      anyOf: tags.map(t => ({allOf: [{properties: {[tag]: {enum: [t]}}}, typeSchema(_typeObject.arg[t], context)]}))
+    })
+  }
+  JSON_SCHEMA_VALUE_KEYWORDS.forEach(key => {
+    if (_typeObject[key] !== undefined) schema[key] = clone(_typeObject[key])
+  })
+  if (_typeObject.properties) {
+    schema.properties = mapObj(_typeObject.properties, (key, property) => typeSchema(property, context))
+  }
+  // Keys of properties marked as required (i.e. 'number!' or Required(NumberType())) go into the required array
+  const requiredKeys = Object.keys(_typeObject.properties || {}).filter(key => getIn(typeObject(_typeObject.properties[key]), 'options.isRequired') === true)
+  const required = unique((_typeObject.required || []).concat(requiredKeys))
+  if (notEmpty(required)) schema.required = required
+  if (typeOf(_typeObject.additionalProperties) === 'boolean') schema.additionalProperties = _typeObject.additionalProperties
+  if (_typeObject.patternProperties) {
+    schema.patternProperties = mapObj(_typeObject.patternProperties, (pattern, property) => typeSchema(property, context))
+  }
+  if (_typeObject.propertyNames) schema.propertyNames = typeSchema(_typeObject.propertyNames, context)
+  // Draft-07 has dependencies instead of dependentRequired and dependentSchemas
+  const dependentRequired = _typeObject.dependentRequired || {}
+  const dependentSchemas = _typeObject.dependentSchemas || {}
+  const dependentKeys = unique(Object.keys(dependentRequired).concat(Object.keys(dependentSchemas)))
+  if (notEmpty(dependentKeys)) {
+    schema.dependencies = dependentKeys.reduce((dependencies, key) => {
+      if (!dependentSchemas[key]) {
+        dependencies[key] = dependentRequired[key]
+      } else if (!dependentRequired[key]) {
+        dependencies[key] = typeSchema(dependentSchemas[key], context)
+      } else {
+        dependencies[key] = {required: dependentRequired[key], allOf: [typeSchema(dependentSchemas[key], context)]}
+      }
+      return dependencies
+    }, {})
+  }
+  if (_typeObject.items) {
+    schema.items = isArray(_typeObject.items) ? _typeObject.items.map(item => typeSchema(item, context)) : typeSchema(_typeObject.items, context)
+  }
+  if (_typeObject.additionalItems !== undefined) {
+    schema.additionalItems = typeOf(_typeObject.additionalItems) === 'boolean' ? _typeObject.additionalItems : typeSchema(_typeObject.additionalItems, context)
+  }
+  if (_typeObject.$ref) {
+    schema.$ref = _typeObject.$ref
+    const registry = getIn(_typeObject, 'options.registry') || context.registry
+    if (registry && !context.refs.has(_typeObject.arg)) context.refs.set(_typeObject.arg, {type: () => registry.resolve(_typeObject.arg), registry})
+  }
+  if (_typeObject.contains) {
+    // NOTE: minContains and maxContains are draft 2019-09 keywords, draft-07 can only express minContains 0 and 1
+    const {minContains, maxContains} = _typeObject.options || {}
+    if (minContains > 1 || maxContains !== undefined) {
+      throw new Error(`toJSONSchema cannot express the minContains and maxContains options of ${toString(_typeObject)} in ${context.draft}`)
+    }
+    if (minContains !== 0) schema.contains = typeSchema(_typeObject.contains, context)
+  }
+  if (_typeObject.allOf) schema.allOf = _typeObject.allOf.map(t => typeSchema(t, context))
+  if (_typeObject.anyOf) schema.anyOf = _typeObject.anyOf.map(t => typeSchema(t, context))
+  if (_typeObject.oneOf) schema.oneOf = _typeObject.oneOf.map(t => typeSchema(t, context))
+  if (_typeObject.not) schema.not = typeSchema(_typeObject.not, context)
+  if (_typeObject.if) Object.assign(schema, conditionalSchema(_typeObject, context))
+  if (_typeObject.validate && !jsonSchemaTypes.has(_typeObject)) schema['x-validate'] = validateName(_typeObject)
+  return schema
+}
+
+// Draft-06 has no if, then and else so they are expressed as: (if and then) or (not if and else)
+function conditionalSchema (type, context) {
+  const [ifSchema, thenSchema, elseSchema] = [type.if, type.then, type.else].map(t => t && typeSchema(t, context))
+  if (context.draft !== 'draft-06') {
+    const schema = {if: ifSchema}
+    if (thenSchema) schema.then = thenSchema
+    if (elseSchema) schema.else = elseSchema
+    return schema
+  }
+  return {
+    anyOf: [
+      thenSchema ? {allOf: [ifSchema, thenSchema]} : ifSchema,
+      elseSchema ? {allOf: [{not: ifSchema}, elseSchema]} : {not: ifSchema}
+    ]
+  }
+}
+
+// A JSON schema document with the types of refs and lazy types as definitions
+function jsonSchemaDocument (options, convert) {
+  assertValidOptions(options, {draft: 'string', registry: 'object'})
+  const draft = options.draft || 'draft-07'
+  if (!JSON_SCHEMA_DRAFTS[draft]) throw new Error(`toJSONSchema supports drafts ${Object.keys(JSON_SCHEMA_DRAFTS).join(', ')} but got ${draft}`)
+  const context = {draft, registry: options.registry, refs: new Map()}
+  const schema = merge({$schema: JSON_SCHEMA_DRAFTS[draft]}, convert(context))
+  const definitions = {}
+  // NOTE: refs found while converting definitions are added to the map and visited by this loop
+  for (const [name, ref] of context.refs) {
+    definitions[name] = typeSchema(ref.type(), merge(context, {registry: ref.registry || context.registry}))
+  }
+  if (notEmpty(definitions)) schema.definitions = definitions
+  return schema
+}
+
+// Creates a JSON schema document from a type, without validate functions and other extensions
+function toJSONSchema (type, options = {}) {
+  return jsonSchemaDocument(options, (context) => {
+    context.root = typeObject(type)
+    return typeSchema(context.root, context)
+  })
+}
+
 module.exports = {
   typeOf,
   TypeError,
   typeErrors,
+  typeErrorsAsync,
+  compile,
+  addFormat,
+  setLocale,
+  getLocale,
+  addMessages,
   isValid,
+  isValidAsync,
   assertType,
+  assertTypeAsync,
+  errorTree,
+  errorTreeAsync,
+  formatPath,
+  toJSONPointer,
+  coerce,
+  applyDefaults,
+  strip,
+  fromJSONSchema,
+  toJSONSchema,
   assertOptions,
   typeObject,
   StringType,
   NumberType,
+  IntegerType,
   BoolType,
   NullType,
   ObjectType,
@@ -419,11 +1777,22 @@ module.exports = {
   ObjectOf,
   NestedObject,
   ArrayType,
+  TupleType,
   Enum,
+  Const,
   InstanceOf,
   TypeOf,
   Validate,
   Required,
+  Nullable,
+  Optional,
   AllOf,
-  AnyOf
+  AnyOf,
+  OneOf,
+  Not,
+  OneOfTagged,
+  Ref,
+  TypeRegistry,
+  Lazy,
+  IfThenElse
 }
@@ -0,0 +1,173 @@
+const {typeOf, isArray, merge, stringify} = require('./util')
+
+// Messages of built-in errors by locale and error code. Messages are templates where {key} is replaced by the
+// param key of the error, arrays are joined with commas and {key:json} renders values as JSON. Messages can also
+// be functions that take the params and return the message.
+const catalogs = {
+  en: {
+    typeof: 'must be of type {expectedType} but was {actualType}',
+    integer: 'must be an integer but was {actual}',
+    invalid: 'is invalid',
+    minLength: 'must have at least {limit} characters but had only {actual}',
+    maxLength: 'must have at most {limit} characters but had {actual}',
+    pattern: 'must match pattern {pattern}',
+    format: 'must match format {format}',
+    minimum: 'must be at least {limit} was only {actual}',
+    exclusiveMinimum: 'must be greater than {limit} but was {actual}',
+    maximum: 'must be no more than {limit} but was {actual}',
+    exclusiveMaximum: 'must be less than {limit} but was {actual}',
+    multipleOf: 'must be a multiple of {limit} but was {actual}',
+    enum: 'must be one of: {allowedValues:json}',
+    const: 'must be equal to {allowedValue:json}',
+    instanceof: 'must be instanceof {className}',
+    required: 'is missing the following required keys: {missingKeys}',
+    requiredKey: 'is required',
+    additionalProperties: 'has the following invalid keys: {invalidKeys}',
+    minProperties: 'must have at least {limit} keys but had only {actual}',
+    maxProperties: 'must have no more than {limit} keys but had {actual}',
+    propertyNames: 'has an invalid key {propertyName} that {reason}',
+    dependentRequired: 'is missing the following keys required by {property}: {missingKeys}',
+    minItems: 'must have at least {limit} items but had only {actual}',
+    maxItems: 'must have no more than {limit} items but had {actual}',
+    additionalItems: 'must have no more than {limit} items but had {actual}',
+    uniqueItems: 'is a duplicate of the item at index {firstIndex}',
+    contains: 'must contain an item of type {containsType}',
+    minContains: 'must contain at least {limit} items of type {containsType} but had {actual}',
+    maxContains: 'must contain no more than {limit} items of type {containsType} but had {actual}',
+    anyOf: 'must be of type {expectedType}',
+    oneOf: 'must be of type {expectedType}',
+    oneOfMatches: 'must match exactly one type but matched {matchingTypes}',
+    not: 'must not be of type {notType}',
+    discriminator: 'must be one of: {allowedValues}',
+    cycle: 'has a circular reference ({ref})'
+  },
+  sv: {
+    typeof: 'måste vara av typen {expectedType} men var {actualType}',
+    integer: 'måste vara ett heltal men var {actual}',
+    invalid: 'är ogiltigt',
+    minLength: 'måste ha minst {limit} tecken men hade bara {actual}',
+    maxLength: 'får ha högst {limit} tecken men hade {actual}',
+    pattern: 'måste matcha mönstret {pattern}',
+    format: 'måste ha formatet {format}',
+    minimum: 'måste vara minst {limit} men var {actual}',
+    exclusiveMinimum: 'måste vara större än {limit} men var {actual}',
+    maximum: 'får vara högst {limit} men var {actual}',
+    exclusiveMaximum: 'måste vara mindre än {limit} men var {actual}',
+    multipleOf: 'måste vara en multipel av {limit} men var {actual}',
+    enum: 'måste vara ett av: {allowedValues:json}',
+    const: 'måste vara lika med {allowedValue:json}',
+    instanceof: 'måste vara en instans av {className}',
+    required: 'saknar följande obligatoriska nycklar: {missingKeys}',
+    requiredKey: 'är obligatorisk',
+    additionalProperties: 'har följande ogiltiga nycklar: {invalidKeys}',
+    minProperties: 'måste ha minst {limit} nycklar men hade bara {actual}',
+    maxProperties: 'får ha högst {limit} nycklar men hade {actual}',
+    propertyNames: 'har en ogiltig nyckel {propertyName} som {reason}',
+    dependentRequired: 'saknar följande nycklar som krävs av {property}: {missingKeys}',
+    minItems: 'måste ha minst {limit} element men hade bara {actual}',
+    maxItems: 'får ha högst {limit} element men hade {actual}',
+    additionalItems: 'får ha högst {limit} element men hade {actual}',
+    uniqueItems: 'är en dubblett av elementet på index {firstIndex}',
+    contains: 'måste innehålla ett element av typen {containsType}',
+    minContains: 'måste innehålla minst {limit} element av typen {containsType} men hade {actual}',
+    maxContains: 'får innehålla högst {limit} element av typen {containsType} men hade {actual}',
+    anyOf: 'måste vara av typen {expectedType}',
+    oneOf: 'måste vara av typen {expectedType}',
+    oneOfMatches: 'måste matcha exakt en typ men matchade {matchingTypes}',
+    not: 'får inte vara av typen {notType}',
+    discriminator: 'måste vara ett av: {allowedValues}',
+    cycle: 'har en cirkulär referens ({ref})'
+  },
+  de: {
+    typeof: 'muss vom Typ {expectedType} sein, war aber {actualType}',
+    integer: 'muss eine ganze Zahl sein, war aber {actual}',
+    invalid: 'ist ungültig',
+    minLength: 'muss mindestens {limit} Zeichen haben, hatte aber nur {actual}',
+    maxLength: 'darf höchstens {limit} Zeichen haben, hatte aber {actual}',
+    pattern: 'muss dem Muster {pattern} entsprechen',
+    format: 'muss dem Format {format} entsprechen',
+    minimum: 'muss mindestens {limit} sein, war aber {actual}',
+    exclusiveMinimum: 'muss größer als {limit} sein, war aber {actual}',
+    maximum: 'darf höchstens {limit} sein, war aber {actual}',
+    exclusiveMaximum: 'muss kleiner als {limit} sein, war aber {actual}',
+    multipleOf: 'muss ein Vielfaches von {limit} sein, war aber {actual}',
+    enum: 'muss einer der folgenden Werte sein: {allowedValues:json}',
+    const: 'muss gleich {allowedValue:json} sein',
+    instanceof: 'muss eine Instanz von {className} sein',
+    required: 'es fehlen die folgenden Pflichtschlüssel: {missingKeys}',
+    requiredKey: 'ist erforderlich',
+    additionalProperties: 'hat die folgenden ungültigen Schlüssel: {invalidKeys}',
+    minProperties: 'muss mindestens {limit} Schlüssel haben, hatte aber nur {actual}',
+    maxProperties: 'darf höchstens {limit} Schlüssel haben, hatte aber {actual}',
+    propertyNames: 'hat einen ungültigen Schlüssel {propertyName}: {reason}',
+    dependentRequired: 'es fehlen die folgenden von {property} benötigten Schlüssel: {missingKeys}',
+    minItems: 'muss mindestens {limit} Elemente haben, hatte aber nur {actual}',
+    maxItems: 'darf höchstens {limit} Elemente haben, hatte aber {actual}',
+    additionalItems: 'darf höchstens {limit} Elemente haben, hatte aber {actual}',
+    uniqueItems: 'ist ein Duplikat des Elements an Index {firstIndex}',
+    contains: 'muss ein Element vom Typ {containsType} enthalten',
+    minContains: 'muss mindestens {limit} Elemente vom Typ {containsType} enthalten, hatte aber {actual}',
+    maxContains: 'darf höchstens {limit} Elemente vom Typ {containsType} enthalten, hatte aber {actual}',
+    anyOf: 'muss vom Typ {expectedType} sein',
+    oneOf: 'muss vom Typ {expectedType} sein',
+    oneOfMatches: 'muss genau einem Typ entsprechen, entsprach aber {matchingTypes}',
+    not: 'darf nicht vom Typ {notType} sein',
+    discriminator: 'muss einer der folgenden Werte sein: {allowedValues}',
+    cycle: 'hat einen zirkulären Verweis ({ref})'
+  }
+}
+
+let currentLocale = 'en'
+
+function assertLocale (locale, name) {
+  if (!catalogs.hasOwnProperty(locale)) {
+    throw new Error(`${name} expects one of the locales ${Object.keys(catalogs).join(', ')} but got ${locale}`)
+  }
+}
+
+// Sets the locale of the messages of all errors that are created from now on
+function setLocale (locale) {
+  assertLocale(locale, 'setLocale')
+  currentLocale = locale
+}
+
+function getLocale () {
+  return currentLocale
+}
+
+// Adds messages to the catalog of a locale (or adds a new locale), i.e. addMessages('sv', {required: '...'})
+function addMessages (locale, messages) {
+  if (typeOf(locale) !== 'string' || locale === '') throw new Error('addMessages expects a locale string as its first argument')
+  if (typeOf(messages) !== 'object') throw new Error('addMessages expects an object of messages as its second argument')
+  catalogs[locale] = merge(catalogs[locale], messages)
+}
+
+function formatValue (value, json) {
+  if (typeof value === 'string' && !json) return value
+  return typeof value === 'number' ? String(value) : stringify(value)
+}
+
+function formatParam (value, json) {
+  return isArray(value) ? value.map(item => formatValue(item, json)).join(', ') : formatValue(value, json)
+}
+
+function interpolate (template, params) {
+  return template.replace(/\{(\w+)(:json)?\}/g, (match, key, json) => params.hasOwnProperty(key) ? formatParam(params[key], json) : match)
+}
+
+// Returns the message of a message key given its params. The first of the override objects (i.e. the messages option
+// of a type) that has the key is used before the catalog of the locale and the English catalog.
+function formatMessage (key, params = {}, options = {}) {
+  const locale = options.locale || currentLocale
+  assertLocale(locale, 'The locale option')
+  const override = (options.overrides || []).find(messages => messages && messages.hasOwnProperty(key))
+  const template = override ? override[key] : (catalogs[locale].hasOwnProperty(key) ? catalogs[locale][key] : catalogs.en[key])
+  return typeOf(template) === 'function' ? template(params) : interpolate(template, params)
+}
+
+module.exports = {
+  setLocale,
+  getLocale,
+  addMessages,
+  formatMessage
+}
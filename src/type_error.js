@@ -1,4 +1,4 @@
-const {notEmpty} = require('./util')
+const {notEmpty, toJSONPointer} = require('./util')
 
 class TypeError extends Error {
   constructor (type, value, message = 'is invalid', options = {}) {
@@ -10,13 +10,21 @@ class TypeError extends Error {
     this.type = type
     this.value = value
     if (options.code) this.code = options.code
+    this.params = options.params || {}
     if (notEmpty(options.path)) this.path = options.path
+    if (options.schemaPath) this.schemaPath = options.schemaPath
     if (notEmpty(options.childErrors)) this.childErrors = options.childErrors
   }
 
+  // The path as a JSON pointer (i.e. /items/3/name), the empty string for errors of the value itself
+  get instancePath () {
+    return toJSONPointer(this.path)
+  }
+
   toJSON () {
     const data = {}
     Object.getOwnPropertyNames(this).forEach((key) => data[key] = this[key])
+    data.instancePath = this.instancePath
     return data
   }
 }
@@ -7,6 +7,10 @@ function isObject (value) {
   return notNil(value) && typeof value === 'object' && value.constructor === Object
 }
 
+function isPromise (value) {
+  return notNil(value) && typeof value.then === 'function'
+}
+
 function nil (value) {
   return value === undefined || value === null
 }
@@ -53,6 +57,17 @@ function flatten (array) {
   return concat(...array)
 }
 
+// Like obj.hasOwnProperty(key) but also for objects with their own hasOwnProperty key (i.e. validated data)
+function hasOwn (obj, key) {
+  return Object.prototype.hasOwnProperty.call(obj, key)
+}
+
+// Like obj[key] = value but a __proto__ key (i.e. from JSON.parse) becomes an own key instead of replacing the prototype
+function setKey (obj, key, value) {
+  Object.defineProperty(obj, key, {value, enumerable: true, writable: true, configurable: true})
+  return obj
+}
+
 function merge (object1, object2) {
   return Object.assign({}, object1, object2)
 }
@@ -77,6 +92,17 @@ function compact (value) {
   }
 }
 
+// NOTE: only copies arrays and object literals, other values (i.e. dates and class instances) are shared
+function clone (value) {
+  if (isArray(value)) {
+    return value.map(clone)
+  } else if (isObject(value)) {
+    return mapObj(value, (k, v) => clone(v))
+  } else {
+    return value
+  }
+}
+
 // Like: http://ramdajs.com/docs/#path
 function getIn (obj, path, defaultValue) {
   path = isArray(path) ? path : path.split('.')
@@ -92,6 +118,46 @@ function getIn (obj, path, defaultValue) {
   return result
 }
 
+// Compares arrays, object literals and dates by value (object keys in any order) and other values with ===
+function deepEqual (value1, value2) {
+  if (value1 === value2) return true
+  const type = typeOf(value1)
+  if (type !== typeOf(value2)) return false
+  if (type === 'NaN') return true
+  if (type === 'date') return value1.getTime() === value2.getTime()
+  if (isArray(value1)) return value1.length === value2.length && value1.every((v, i) => deepEqual(v, value2[i]))
+  if (isObject(value1) && isObject(value2)) {
+    const keys = Object.keys(value1)
+    return keys.length === Object.keys(value2).length && keys.every(key => hasOwn(value2, key) && deepEqual(value1[key], value2[key]))
+  }
+  return false
+}
+
+// Renders a value as JSON for messages, values without a JSON representation (i.e. undefined) use String
+function stringify (value) {
+  const json = JSON.stringify(value)
+  return json === undefined ? String(value) : json
+}
+
+// Appends keys to a JSON pointer, escaping ~ and / in them. See: https://tools.ietf.org/html/rfc6901
+function jsonPointer (pointer, ...keys) {
+  return [pointer].concat(keys.map(key => String(key).replace(/~/g, '~0').replace(/\//g, '~1'))).join('/')
+}
+
+// Formats a path as a JSON pointer, i.e. ['items', 3, 'name'] as /items/3/name and [] as the empty string
+function toJSONPointer (path = []) {
+  return jsonPointer('', ...path)
+}
+
+// Formats a path like a property access in JavaScript, i.e. ['items', 3, 'name'] as items[3].name
+function formatPath (path = []) {
+  return path.reduce((result, key) => {
+    if (typeof key === 'number') return `${result}[${key}]`
+    if (/^[A-Za-z_$][\w$]*$/.test(key)) return result ? `${result}.${key}` : key
+    return `${result}[${JSON.stringify(String(key))}]`
+  }, '')
+}
+
 function unique (array) {
   return Array.from(new Set(array))
 }
@@ -104,10 +170,7 @@ function difference (array1, array2) {
 
 function mapObj (obj, valueTransform) {
   if (!obj) return undefined
-  return Object.entries(obj).reduce((acc, [k, v]) => {
-    acc[k] = valueTransform(k, v)
-    return acc
-  }, {})
+  return Object.entries(obj).reduce((acc, [k, v]) => setKey(acc, k, valueTransform(k, v)), {})
 }
 
 // Similar to: https://github.com/jonschlinkert/kind-of/blob/master/index.js
@@ -136,7 +199,7 @@ function assertValidOptions (options, validOptionTypes, assertConfig = {}) {
 				)}`
 			)
 		}
-		if (key in validOptionTypes && actualType !== expectedType) {
+		if (key in validOptionTypes && expectedType !== 'any' && actualType !== expectedType) {
 			throw new Error(
 				`Type of options key ${key} is ${actualType} but needs to be ${expectedType}`
       )
@@ -154,14 +217,24 @@ function assertValidOptions (options, validOptionTypes, assertConfig = {}) {
 
 module.exports = {
   isArray,
+  isObject,
+  isPromise,
   empty,
   notEmpty,
   array,
   notArray,
   flatten,
   merge,
+  setKey,
+  hasOwn,
   compact,
+  clone,
   getIn,
+  deepEqual,
+  stringify,
+  jsonPointer,
+  toJSONPointer,
+  formatPath,
   unique,
   difference,
   mapObj,
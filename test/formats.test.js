@@ -0,0 +1,68 @@
+const Ajv = require('ajv')
+const {addFormat, hasFormat, checkFormat} = require('../src/formats')
+
+const EXAMPLES = {
+  date: {
+    valid: ['2019-02-28', '2020-02-29', '2000-02-29', '1999-12-31'],
+    invalid: ['2019-02-29', '1900-02-29', '2019-13-01', '2019-00-10', '2019-04-31', '2019-2-28', '20190228', '2019-02-28T00:00:00Z']
+  },
+  time: {
+    valid: ['13:15:00', '13:15:00.123', '13:15:00Z', '13:15:00+01:00', '23:59:60'],
+    invalid: ['24:00:00', '13:60:00', '13:15:61', '23:58:60', '13:15', '1:15:00']
+  },
+  'date-time': {
+    valid: ['2019-02-28T13:15:00Z', '2019-02-28t13:15:00.5+01:00', '2019-02-28 13:15:00-05:00'],
+    invalid: ['2019-02-28T13:15:00', '2019-02-28T13:15:00+0100', '2019-02-30T13:15:00Z', '2019-02-28', '2019-02-28T25:15:00Z']
+  },
+  email: {
+    valid: ['joe@example.com', 'joe.doe+tag@mail.example.co.uk'],
+    invalid: ['joe', 'joe@', '@example.com', 'joe@example..com', 'joe doe@example.com']
+  },
+  hostname: {
+    valid: ['example.com', 'localhost', 'my-host.example.com'],
+    invalid: ['example.com.', '-example.com', 'example-.com', 'exa_mple.com', `${'a'.repeat(64)}.com`, '']
+  },
+  ipv4: {
+    valid: ['127.0.0.1', '192.168.0.255', '0.0.0.0'],
+    invalid: ['256.0.0.1', '1.2.3', '1.2.3.4.5', '01.2.3.4', 'a.b.c.d']
+  },
+  ipv6: {
+    valid: ['::1', '::', '2001:db8::8a2e:370:7334', '2001:0db8:0000:0000:0000:8a2e:0370:7334', '::ffff:192.168.0.1', 'fe80::'],
+    invalid: ['1:2:3:4:5:6:7:8:9', '2001:db8::8a2e::7334', '12345::', ':1::', '::ffff:256.0.0.1', '1.2.3.4', 'g::']
+  },
+  uri: {
+    valid: ['https://example.com/path?query=1#hash', 'mailto:joe@example.com', 'urn:isbn:0451450523', 'http://example.com/%20'],
+    invalid: ['example.com', '/path', 'http://example.com/a b', 'http://example.com/%2', '1http://example.com']
+  },
+  uuid: {
+    valid: ['f81d4fae-7dec-11d0-a765-00a0c91e6bf6', 'urn:uuid:F81D4FAE-7DEC-11D0-A765-00A0C91E6BF6'],
+    invalid: ['f81d4fae-7dec-11d0-a765-00a0c91e6bf', 'f81d4fae7dec11d0a76500a0c91e6bf6', 'g81d4fae-7dec-11d0-a765-00a0c91e6bf6']
+  }
+}
+
+test('checkFormat - checks the built-in formats', () => {
+  for (const [format, {valid, invalid}] of Object.entries(EXAMPLES)) {
+    expect(hasFormat(format)).toEqual(true)
+    expect(valid.filter(value => !checkFormat(format, value))).toEqual([])
+    expect(invalid.filter(value => checkFormat(format, value))).toEqual([])
+  }
+})
+
+test('checkFormat - agrees with ajv on valid values', () => {
+  const ajv = new Ajv({format: 'full'})
+  for (const [format, {valid}] of Object.entries(EXAMPLES)) {
+    expect(valid.filter(value => !ajv.validate({type: 'string', format}, value))).toEqual([])
+  }
+})
+
+test('addFormat - adds formats given a function or a regular expression', () => {
+  expect(hasFormat('even-length')).toEqual(false)
+  addFormat('even-length', (value) => value.length % 2 === 0)
+  addFormat('semver', /^\d+\.\d+\.\d+$/)
+  expect(checkFormat('even-length', 'ab')).toEqual(true)
+  expect(checkFormat('even-length', 'abc')).toEqual(false)
+  expect(checkFormat('semver', '1.2.3')).toEqual(true)
+  expect(checkFormat('semver', '1.2')).toEqual(false)
+  expect(() => addFormat('')).toThrowError(/addFormat expects a format name/)
+  expect(() => addFormat('foo', 'bar')).toThrowError(/addFormat expects a function or regular expression/)
+})
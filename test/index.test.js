@@ -1,8 +1,8 @@
 const Ajv = require('ajv')
 const ajv = new Ajv()
-const {mapObj} = require('../src/util')
+const {mapObj, merge} = require('../src/util')
 const TypeError = require('../src/type_error')
-const {typeErrors, ObjectType, NestedObject, ArrayType, ExactObject, InstanceOf, ObjectOf, Validate, StringType, Enum, TypeOf, Required, AllOf, AnyOf} = require('../src/index')
+const {typeErrors, compile, addFormat, typeErrorsAsync, isValidAsync, assertTypeAsync, isValid, assertType, errorTree, errorTreeAsync, formatPath, toJSONPointer, coerce, applyDefaults, strip, fromJSONSchema, toJSONSchema, assertOptions, ObjectType, NestedObject, ArrayType, TupleType, ExactObject, InstanceOf, ObjectOf, Validate, StringType, NumberType, IntegerType, Enum, Const, TypeOf, Required, Nullable, Optional, AllOf, AnyOf, OneOf, Not, OneOfTagged, IfThenElse, Ref, TypeRegistry, Lazy} = require('../src/index')
 
 function validateSchema (schema, data) {
   ajv.validate(schema, data)
@@ -64,7 +64,7 @@ test('ObjectType without options - checks types of keys, keys are optional, addi
   })
 
   expectObjectErrors(User, {name: 'Joe', username: 'j', status: 'foobar'}, {
-    status: 'must be one of: active, inactive',
+    status: 'must be one of: "active", "inactive"',
     username: 'must have at least 3 characters but had only 1'
   })
 })
@@ -286,11 +286,1337 @@ test('ArrayType - accepts options minItems, maxItems, title, description, isRequ
   expect(validateSchema(User, {tags: ['foobar']})).toEqual(null)
 })
 
+test('TupleType - validates each position against its own type and as JSON schema', () => {
+  const Pair = TupleType(['string', ObjectType({count: 'number'})], {additionalItems: false})
+  expect(Pair.items.length).toEqual(2)
+  expect(Pair.additionalItems).toEqual(false)
+  expect(Pair.minItems).toEqual(2)
+
+  expect(typeErrors(Pair, ['foo', {count: 1}])).toEqual(undefined)
+  assertSchema(Pair, ['foo', {count: 1}])
+
+  const errors = typeErrors(Pair, [1, {count: 'foo'}, true])
+  expect(errors.map(e => e.path)).toEqual([[0], [1, 'count'], undefined])
+  expect(errors.map(e => e.code)).toEqual(['typeof', 'typeof', 'additionalItems'])
+  expect(validateSchema(Pair, ['foo', {count: 1}, true])[0].message).toEqual('should NOT have more than 2 items')
+  expect(validateSchema(Pair, ['foo'])[0].message).toEqual('should NOT have fewer than 2 items')
+
+  const Row = TupleType(['string'], {rest: 'number', minItems: 0})
+  expect(Row.additionalItems.type).toEqual('number')
+  expect(typeErrors(Row, [])).toEqual(undefined)
+  expect(typeErrors(Row, ['foo', 1, 'bar'])[0].path).toEqual([2])
+  expect(validateSchema(Row, ['foo', 1, 'bar'])[0].dataPath).toEqual('[2]')
+
+  expect(() => TupleType(['string'], {rest: 'number', additionalItems: false})).toThrowError(/cannot be combined/)
+})
+
+test('OneOfTagged - validates only the type picked by the tag key', () => {
+  const Created = ObjectType({kind: Enum(['created']), name: Username}, {required: ['name']})
+  const Deleted = ObjectType({kind: Enum(['deleted']), id: 'number'}, {required: ['id']})
+  const Event = OneOfTagged('kind', {created: Created, deleted: Deleted})
+  expect(Event.discriminator).toEqual({propertyName: 'kind'})
+
+  expect(typeErrors(Event, {kind: 'created', name: 'joe'})).toEqual(undefined)
+  assertSchema(Event, {kind: 'created', name: 'joe'})
+  expect(validateSchema(Event, {kind: 'deleted', name: 'joe'})).not.toEqual(null)
+
+  const errors = typeErrors(Event, {kind: 'created', name: 'j'})
+  expect(errors.length).toEqual(1)
+  expect(errors[0].path).toEqual(['name'])
+  expect(errors[0].code).toEqual('minLength')
+
+  const nestedErrors = typeErrors(ArrayType(Event), [{kind: 'deleted', id: 1}, {kind: 'deleted'}])
+  expect(nestedErrors.map(e => [e.path, e.code])).toEqual([[[1], 'required']])
+
+  for (const value of [{}, {kind: 'updated'}]) {
+    const tagErrors = typeErrors(Event, value)
+    expect(tagErrors.length).toEqual(1)
+    expect(tagErrors[0].path).toEqual(['kind'])
+    expect(tagErrors[0].code).toEqual('discriminator')
+    expect(tagErrors[0].message).toEqual('must be one of: created, deleted')
+  }
+  expect(typeErrors(Event, 'foo')[0].code).toEqual('typeof')
+})
+
+test('coerce - converts values in a copy of nested data and returns remaining errors', () => {
+  const Item = ObjectType({count: 'number', createdAt: 'date', flags: ArrayType('boolean')})
+  const Data = ObjectType({
+    name: StringType(),
+    items: ArrayType(Item),
+    pair: TupleType(['number', 'boolean'], {rest: 'number'}),
+    scores: ObjectOf('number'),
+    status: Enum([1, 2, null]),
+    id: AnyOf(['number', 'boolean']),
+    event: OneOfTagged('kind', {created: ObjectType({at: InstanceOf(Date)})}),
+    bonus: AllOf(['number', (v) => v > 0])
+  })
+  const value = {
+    name: 123,
+    items: {count: '1', createdAt: '2019-02-17T10:00:00Z', flags: ['true', 'false']},
+    pair: ['1', 'true', '3'],
+    scores: {foo: '1.5'},
+    status: 'null',
+    id: 'false',
+    event: {kind: 'created', at: '2019-02-17'},
+    bonus: '5',
+    other: '1'
+  }
+  const original = JSON.parse(JSON.stringify(value))
+  const result = coerce(Data, value)
+  expect(result.errors).toEqual(undefined)
+  expect(result.value).toEqual({
+    name: '123',
+    items: [{count: 1, createdAt: new Date('2019-02-17T10:00:00Z'), flags: [true, false]}],
+    pair: [1, true, 3],
+    scores: {foo: 1.5},
+    status: null,
+    id: false,
+    event: {kind: 'created', at: new Date('2019-02-17')},
+    bonus: 5,
+    other: '1'
+  })
+  expect(value).toEqual(original)
+
+  const invalid = coerce(Data, {items: [{count: 'foo', createdAt: '17/02/2019'}], bonus: '-1'})
+  expect(invalid.value.items[0]).toEqual({count: 'foo', createdAt: '17/02/2019'})
+  expect(invalid.errors.map(e => e.path)).toEqual([['items', 0, 'count'], ['items', 0, 'createdAt'], ['bonus']])
+  expect(coerce('number', '').errors[0].code).toEqual('typeof')
+  expect(coerce('number', 'Infinity').value).toEqual('Infinity')
+  expect(['-1.5', '+2', '.5', '3.', '0x1A', '1e3', ' 1', '0b1'].map(v => coerce('number', v).value)).toEqual([-1.5, 2, 0.5, 3, '0x1A', '1e3', ' 1', '0b1'])
+})
+
+test('coerce, applyDefaults and strip - support a property named hasOwnProperty', () => {
+  const Data = ObjectType({hasOwnProperty: NumberType({default: 1})})
+  expect(coerce(Data, {hasOwnProperty: '2'}).value).toEqual({hasOwnProperty: 2})
+  expect(applyDefaults(Data, {})).toEqual({hasOwnProperty: 1})
+  expect(strip(Data, {hasOwnProperty: 2, a: 1})).toEqual({hasOwnProperty: 2})
+  const Event = OneOfTagged('kind', {hasOwnProperty: ObjectType({at: 'date'})})
+  expect(coerce(Event, {kind: 'hasOwnProperty', at: '2019-02-17'}).value).toEqual({kind: 'hasOwnProperty', at: new Date('2019-02-17')})
+})
+
+test('coerce - keeps a __proto__ key of parsed JSON as a key', () => {
+  const result = coerce(ObjectOf('number'), JSON.parse('{"__proto__": {"polluted": "1"}, "a": "2"}'))
+  expect(result.value.polluted).toEqual(undefined)
+  expect(Object.getPrototypeOf(result.value)).toBe(Object.prototype)
+  expect(Object.keys(result.value)).toEqual(['__proto__', 'a'])
+  expect(result.value.a).toEqual(2)
+})
+
+test('applyDefaults - keeps a __proto__ key of parsed JSON as a key', () => {
+  const result = applyDefaults(ObjectType({a: StringType({default: 'x'})}), JSON.parse('{"__proto__": {"polluted": 1}}'))
+  expect(result.polluted).toEqual(undefined)
+  expect(Object.getPrototypeOf(result)).toBe(Object.prototype)
+  expect(Object.keys(result)).toEqual(['__proto__', 'a'])
+  expect(assertOptions(JSON.parse('{"__proto__": {"polluted": 1}}'), {a: 'any'}).polluted).toEqual(undefined)
+})
+
+test('applyDefaults - fills in missing values recursively without mutating the value', () => {
+  const Config = NestedObject({
+    name: StringType({default: ''}),
+    tags: ArrayType('string', {default: []}),
+    server: ObjectType({
+      port: NumberType({default: 80}),
+      mode: Enum(['dev', 'prod'], {default: 'dev'})
+    }, {default: {}}),
+    hooks: [{
+      enabled: TypeOf('boolean', {default: true}),
+      options: ObjectOf(ObjectType({retries: NumberType({default: 3})}))
+    }],
+    point: TupleType(['number', NumberType({default: 0})], {minItems: 1}),
+    optional: {
+      level: NumberType({default: 1})
+    }
+  })
+  expect(Config.properties.name.default).toEqual('')
+  expect(Config.properties.tags.default).toEqual([])
+  assertSchema(Config, {})
+
+  const value = {hooks: [{options: {foo: {}, bar: {retries: 1}}}, {enabled: false}], point: [1]}
+  const original = JSON.parse(JSON.stringify(value))
+  expect(applyDefaults(Config, value)).toEqual({
+    name: '',
+    tags: [],
+    server: {port: 80, mode: 'dev'},
+    hooks: [{enabled: true, options: {foo: {retries: 3}, bar: {retries: 1}}}, {enabled: false}],
+    point: [1, 0]
+  })
+  expect(value).toEqual(original)
+
+  const first = applyDefaults(Config, {})
+  first.tags.push('foo')
+  expect(applyDefaults(Config, {}).tags).toEqual([])
+  expect(applyDefaults('number', undefined)).toEqual(undefined)
+  expect(applyDefaults(AllOf([ObjectType({a: NumberType({default: 1})}), ObjectType({b: NumberType({default: 2})})]), {})).toEqual({a: 1, b: 2})
+})
+
+test('assertOptions - returns options with defaults applied', () => {
+  const validOptions = {limit: NumberType({default: 10}), offset: 'number'}
+  expect(assertOptions({}, validOptions)).toEqual({limit: 10})
+  expect(assertOptions({limit: 5, offset: 2}, validOptions)).toEqual({limit: 5, offset: 2})
+  expect(() => assertOptions({limit: '5'}, validOptions)).toThrowError(/must be of type NumberType/)
+  expect(() => StringType({default: 'foo', defaults: 'bar'})).toThrowError(/Unrecognized options key defaults/)
+})
+
+test('strip - keeps a __proto__ key of parsed JSON as a key', () => {
+  const payload = '{"__proto__": {"isAdmin": true}, "name": "x", "nested": {"__proto__": {"isAdmin": true}}}'
+  const types = [
+    ObjectOf('any'),
+    ObjectType({name: 'string', nested: ObjectType({}, {additionalProperties: true})}, {additionalProperties: true}),
+    AllOf([ObjectType({name: 'string'}), ObjectType({nested: 'any'})], {additionalProperties: true})
+  ]
+  types.forEach((type) => {
+    const result = strip(type, JSON.parse(payload))
+    expect(result.isAdmin).toEqual(undefined)
+    expect(Object.getPrototypeOf(result)).toBe(Object.prototype)
+    expect(result.nested.isAdmin).toEqual(undefined)
+  })
+  expect(Object.keys(strip(ObjectOf('any'), JSON.parse(payload)))).toEqual(['__proto__', 'name', 'nested'])
+})
+
+test('strip - returns a deep copy with only declared keys', () => {
+  const Address = ObjectType({street: 'string', zip: 'string'})
+  const User = ObjectType({
+    name: 'string',
+    address: Address,
+    addresses: ArrayType(Address),
+    settings: ObjectType({}, {patternProperties: {'^x-': ObjectType({value: 'string'})}}),
+    meta: ObjectType({}, {additionalProperties: true}),
+    profile: AllOf([ObjectType({bio: 'string'}), ObjectType({url: 'string'})]),
+    contact: AnyOf([ObjectType({email: 'string!'}), ObjectType({phone: 'string!'})]),
+    raw: 'object'
+  })
+  const value = {
+    name: 'joe',
+    password: 'secret',
+    address: {street: 'Main St', zip: '12345', geo: [1, 2]},
+    addresses: [{street: 'Main St', admin: true}, 'foo'],
+    settings: {'x-color': {value: 'red', other: 1}, color: 'red'},
+    meta: {foo: {bar: 1}},
+    profile: {bio: 'foo', url: 'bar', admin: true},
+    contact: {phone: '123', admin: true},
+    raw: {foo: 1}
+  }
+  const original = JSON.parse(JSON.stringify(value))
+  const stripped = strip(User, value)
+  expect(stripped).toEqual({
+    name: 'joe',
+    address: {street: 'Main St', zip: '12345'},
+    addresses: [{street: 'Main St'}, 'foo'],
+    settings: {'x-color': {value: 'red'}},
+    meta: {foo: {bar: 1}},
+    profile: {bio: 'foo', url: 'bar'},
+    contact: {phone: '123'},
+    raw: {foo: 1}
+  })
+  expect(value).toEqual(original)
+  expect(stripped.meta.foo).not.toBe(value.meta.foo)
+  expect(stripped.raw).not.toBe(value.raw)
+})
+
+test('ObjectType - removeAdditional removes unknown keys when coercing', () => {
+  const Item = ObjectType({count: 'number'}, {removeAdditional: true})
+  const Items = ObjectType({items: ArrayType(Item)})
+  expect(typeErrors(Item, {count: 1, foo: 2})).toEqual(undefined)
+  expect(coerce(Items, {items: [{count: '1', foo: '2'}], bar: 1})).toEqual({value: {items: [{count: 1}], bar: 1}, errors: undefined})
+  expect(coerce(ExactObject({count: 'number'}, {removeAdditional: true}), {foo: 1}).value).toEqual({})
+})
+
+test('ExactObject - allows keys matching patternProperties', () => {
+  const Headers = ExactObject({host: 'string'}, {patternProperties: {'^x-': 'string'}})
+  expect(typeErrors(Headers, {host: 'foo', 'x-bar': 'bar'})).toEqual(undefined)
+  expect(typeErrors(Headers, {host: 'foo', bar: 'bar'}).map(e => e.message)).toEqual(['has the following invalid keys: bar'])
+  assertSchema(Headers, {host: 'foo', 'x-bar': 'bar'})
+  expect(validateSchema(Headers, {'x-bar': 1})[0].dataPath).toEqual("['x-bar']")
+})
+
+test('typeErrorsAsync - waits for validate functions that return promises and gives the same errors as typeErrors', async () => {
+  const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+  const events = []
+  const isEven = (value) => typeof value === 'number' && value % 2 === 0 ? undefined : 'must be even'
+  const isEvenAsync = async (value) => {
+    events.push(`start ${value}`)
+    await delay(5)
+    events.push(`end ${value}`)
+    return isEven(value)
+  }
+  const dataType = (validate) => {
+    const evenType = Validate(validate, {title: 'IsEven'})
+    return ObjectType({
+      a: evenType,
+      b: ArrayType(evenType),
+      c: AllOf(['number', evenType]),
+      d: AnyOf(['string', evenType]),
+      e: TupleType([evenType]),
+      f: OneOfTagged('kind', {foo: ObjectType({value: evenType})}),
+      g: ObjectOf(evenType)
+    }, {required: ['z']})
+  }
+  const value = {a: 1, b: [2, 3, 5], c: 3, d: 5, e: [7], f: {kind: 'foo', value: 9}, g: {x: 11}}
+  const syncErrors = typeErrors(dataType(isEven), value)
+  const asyncErrors = await typeErrorsAsync(dataType(isEvenAsync), value)
+  const summary = (errors) => errors.map(e => [e.path, e.message, e.code])
+  expect(summary(asyncErrors)).toEqual(summary(syncErrors))
+  expect(summary(asyncErrors)).toEqual([
+    [undefined, 'is missing the following required keys: z', 'required'],
+    [['a'], 'must be even', undefined],
+    [['b', 1], 'must be even', undefined],
+    [['b', 2], 'must be even', undefined],
+    [['c'], 'must be even', undefined],
+    [['d'], 'must be of type AnyOf(string, IsEven)', 'anyOf'],
+    [['e', 0], 'must be even', undefined],
+    [['f', 'value'], 'must be even', undefined],
+    [['g', 'x'], 'must be even', undefined]
+  ])
+  // sibling keys and items are validated concurrently
+  expect(events.slice(0, 3)).toEqual(['start 1', 'start 2', 'start 3'])
+
+  expect(await typeErrorsAsync(dataType(isEvenAsync), {a: 2, z: 1})).toEqual(undefined)
+  expect(await isValidAsync(dataType(isEvenAsync), {a: 2, z: 1})).toEqual(true)
+  expect(await isValidAsync(dataType(isEvenAsync), {a: 1, z: 1})).toEqual(false)
+  await expect(assertTypeAsync(dataType(isEvenAsync), {a: 1})).rejects.toThrow(/there are 2 type errors/)
+  await expect(assertTypeAsync(dataType(isEvenAsync), {a: 2, z: 1})).resolves.toEqual(undefined)
+})
+
+test('typeErrors - throws if a validate function returns a promise', async () => {
+  const User = ObjectType({username: Validate(async () => undefined, {title: 'Available'})})
+  expect(() => typeErrors(User, {username: 'joe'})).toThrowError(/type Available returned a promise, use typeErrorsAsync/)
+  expect(() => isValid(User, {username: 'joe'})).toThrowError(/returned a promise/)
+  expect(() => assertType(User, {username: 'joe'})).toThrowError(/returned a promise/)
+  expect(typeErrors(User, {})).toEqual(undefined)
+  await expect(typeErrorsAsync(User, {username: 'joe'})).resolves.toEqual(undefined)
+})
+
+test('typeErrors - abortEarly and maxErrors options stop validation once the limit is reached', async () => {
+  let calls = 0
+  const IsEven = Validate((value) => {
+    calls++
+    return value % 2 === 0
+  }, {title: 'IsEven'})
+  const Data = ObjectType({
+    numbers: ArrayType(IsEven),
+    pairs: ArrayType(TupleType([IsEven, IsEven])),
+    all: AllOf([IsEven, IsEven]),
+    any: AnyOf([ObjectType({a: IsEven, b: IsEven}), IsEven]),
+    tagged: OneOfTagged('kind', {foo: ObjectType({a: IsEven, b: IsEven})})
+  }, {required: ['id']})
+  const numbers = Array.from({length: 5000}, (v, i) => 1)
+  const value = {numbers, pairs: [[1, 1], [1, 1]], all: 1, any: {a: 1, b: 1}, tagged: {kind: 'foo', a: 1, b: 1}}
+
+  expect(typeErrors(Data, value).length).toEqual(1 + 5000 + 4 + 1 + 1 + 2)
+  calls = 0
+  const firstError = typeErrors(Data, value, {abortEarly: true})
+  expect(firstError.map(e => e.code)).toEqual(['required'])
+  expect(calls).toEqual(0)
+
+  calls = 0
+  const errors = typeErrors(Data, {numbers, id: 1}, {maxErrors: 3})
+  expect(errors.map(e => e.path)).toEqual([['numbers', 0], ['numbers', 1], ['numbers', 2]])
+  expect(calls).toEqual(3)
+
+  calls = 0
+  expect(typeErrors(Data, {id: 1, pairs: [[1, 1], [1, 1]], any: {a: 1, b: 1}}, {maxErrors: 3}).map(e => e.path)).toEqual([['pairs', 0, 0], ['pairs', 0, 1], ['pairs', 1, 0]])
+  expect(calls).toEqual(3)
+
+  calls = 0
+  expect(typeErrors(Data, {id: 1, any: {a: 1, b: 1}}, {maxErrors: 3}).length).toEqual(1)
+  expect(calls).toEqual(2)
+
+  calls = 0
+  expect(isValid(Data, {id: 1, numbers})).toEqual(false)
+  expect(calls).toEqual(1)
+  expect(isValid(Data, {id: 1, numbers: [2, 4]})).toEqual(true)
+
+  const asyncErrors = await typeErrorsAsync(Data, {numbers, id: 1}, {maxErrors: 2})
+  expect(asyncErrors.map(e => e.path)).toEqual([['numbers', 0], ['numbers', 1]])
+  expect(await typeErrorsAsync(Data, value, {abortEarly: true})).toEqual(firstError)
+})
+
+describe('compile', () => {
+  const Tag = StringType({pattern: '^[a-z]+$', maxLength: 10})
+  const Item = ExactObject({
+    id: 'number!',
+    name: Username,
+    tags: ArrayType(Tag, {maxItems: 5}),
+    scores: ObjectOf(NumberType({minimum: 0})),
+    point: TupleType(['number', 'number'], {rest: 'string'}),
+    status: Enum(['active', 'inactive']),
+    meta: ObjectType({createdAt: 'date', bonus: (v) => v > 0}, {patternProperties: {'^x-': 'string'}}),
+    kind: AnyOf(['string', 'number'])
+  })
+  const Items = ArrayType(Required(Item))
+  const validItem = (i) => ({
+    id: i,
+    name: 'joe',
+    tags: ['foo', 'bar'],
+    scores: {a: 1, b: 2},
+    point: [1, 2, 'foo'],
+    status: 'active',
+    meta: {createdAt: new Date(), bonus: 1, 'x-foo': 'bar'},
+    kind: 'foo'
+  })
+
+  test('returns the same errors as typeErrors', () => {
+    const validate = compile(Items)
+    const values = [
+      [validItem(1), validItem(2)],
+      [],
+      'foo',
+      [{}],
+      [{...validItem(1), id: 'foo', name: 'j', foo: 1}],
+      [validItem(1), {...validItem(2), tags: ['FOO', 1, 'a', 'b', 'c', 'd']}],
+      [{...validItem(1), scores: {a: -1, b: 'foo'}, point: [1], status: 'foo'}],
+      [{...validItem(1), meta: {createdAt: 1, bonus: 0, 'x-foo': 1, other: 1}, kind: true}]
+    ]
+    for (const value of values) {
+      expect(validate(value)).toEqual(typeErrors(Items, value))
+    }
+    expect(compile('number')(1)).toEqual(undefined)
+    expect(compile(['number'])([1, 'foo'])).toEqual(typeErrors(['number'], [1, 'foo']))
+    expect(compile(Items, {maxErrors: 1})([{}, {}]).length).toEqual(1)
+  })
+
+  // Timings depend on the load of the machine so the benchmark only runs with npm run benchmark
+  const benchmarkTest = process.env.BENCHMARK ? test : test.skip
+  benchmarkTest('benchmark - is faster than typeErrors on large nested data', () => {
+    const data = Array.from({length: 1000}, (v, i) => validItem(i))
+    const time = (fn) => {
+      const start = process.hrtime()
+      expect(fn()).toEqual(undefined)
+      const [seconds, nanoseconds] = process.hrtime(start)
+      return seconds * 1e3 + nanoseconds / 1e6
+    }
+    const validate = compile(Items)
+    const compiledTimes = []
+    const typeErrorsTimes = []
+    const median = (times) => times.slice().sort((a, b) => a - b)[Math.floor(times.length / 2)]
+    // NOTE: the first runs warm up the JIT compiler. Compiled validation is typically 4-5 times faster, the medians
+    // of the remaining runs are only required to be faster so that timing noise on busy machines doesn't fail the test.
+    for (let i = 0; i < 9; i++) {
+      compiledTimes.push(time(() => validate(data)))
+      typeErrorsTimes.push(time(() => typeErrors(Items, data)))
+    }
+    expect(median(compiledTimes.slice(4))).toBeLessThan(median(typeErrorsTimes.slice(4)))
+  })
+})
+
+test('ObjectType - minProperties, maxProperties, propertyNames, dependentRequired and dependentSchemas', async () => {
+  const Settings = ObjectType({ssl: 'boolean', cert: 'string', key: 'string', port: 'number'}, {
+    minProperties: 1,
+    maxProperties: 4,
+    propertyNames: StringType({pattern: '^[a-z][a-zA-Z0-9]*$'}),
+    dependentRequired: {ssl: ['cert', 'key']},
+    dependentSchemas: {ssl: ObjectType({port: Enum([443])})}
+  })
+  expect(typeErrors(Settings, {ssl: true, cert: 'a', key: 'b', port: 443})).toEqual(undefined)
+  expect(typeErrors(Settings, {port: 80})).toEqual(undefined)
+  const value = {ssl: true, port: 80, cert: 'a', Foo_bar: 1, other: 2}
+  const errors = typeErrors(Settings, value)
+  expect(errors.map(error => [error.path, error.message, error.code])).toEqual([
+    [undefined, 'must have no more than 4 keys but had 5', 'maxProperties'],
+    [undefined, 'has an invalid key Foo_bar that must match pattern ^[a-z][a-zA-Z0-9]*$', 'propertyNames'],
+    [undefined, 'is missing the following keys required by ssl: key', 'dependentRequired'],
+    [['port'], 'must be one of: 443', 'enum']
+  ])
+  expect(errors[1].value).toEqual('Foo_bar')
+  expect(await typeErrorsAsync(Settings, value)).toEqual(errors)
+  expect(compile(Settings)(value)).toEqual(errors)
+  expect(typeErrors(Settings, {}).map(error => [error.message, error.code])).toEqual([['must have at least 1 keys but had only 0', 'minProperties']])
+  expect(typeErrors(ObjectType({}, {dependentRequired: {a: ['b']}}), {a: 1}, {path: ['settings']})[0].path).toEqual(['settings'])
+  expect(() => ObjectType({}, {dependentRequired: {a: 'b'}})).toThrowError('ObjectType option dependentRequired needs an array of keys for a')
+})
+
+test('ObjectType - object constraints are exported to and imported from JSON schema', () => {
+  const Settings = ObjectType({ssl: 'boolean', tls: 'boolean'}, {
+    maxProperties: 3,
+    propertyNames: StringType({maxLength: 5}),
+    dependentRequired: {ssl: ['cert'], tls: ['cert']},
+    dependentSchemas: {tls: ObjectType({version: 'number!'})}
+  })
+  const schema = toJSONSchema(Settings)
+  expect(schema.propertyNames).toEqual({type: 'string', maxLength: 5})
+  expect(schema.dependencies).toEqual({
+    ssl: ['cert'],
+    tls: {required: ['cert'], allOf: [{type: 'object', properties: {version: {type: 'number'}}, required: ['version']}]}
+  })
+  expect(ajv.validateSchema(schema)).toEqual(true)
+  const values = [{ssl: true}, {ssl: true, cert: 'a'}, {tls: true, cert: 'a'}, {tls: true, cert: 'a', version: 1}, {toolong: 1}, {a: 1, b: 2, c: 3, d: 4}]
+  const imported = fromJSONSchema(schema)
+  for (const value of values) {
+    expect(ajv.validate(schema, value)).toEqual(typeErrors(Settings, value) === undefined)
+    expect(typeErrors(imported, value) === undefined).toEqual(typeErrors(Settings, value) === undefined)
+  }
+  const draft2019 = fromJSONSchema({type: 'object', dependentRequired: {a: ['b']}, dependentSchemas: {b: {required: ['c']}}})
+  expect(typeErrors(draft2019, {a: 1, b: 2}).map(error => error.code)).toEqual(['required'])
+})
+
+test('ArrayType - uniqueItems compares items by value and points at duplicates', () => {
+  const Points = ArrayType(ObjectType({x: 'number', y: 'number'}), {uniqueItems: true})
+  expect(Points.description).toEqual('Array with ObjectType. Items are unique')
+  expect(typeErrors(Points, [{x: 1, y: 2}, {x: 2, y: 1}])).toEqual(undefined)
+  const errors = typeErrors(Points, [{x: 1, y: 2}, {y: 2, x: 1}, {x: 3}, {x: 1, y: 2}, {x: 3}])
+  expect(errors.map(error => [error.path, error.message, error.code])).toEqual([
+    [[1], 'is a duplicate of the item at index 0', 'uniqueItems'],
+    [[3], 'is a duplicate of the item at index 0', 'uniqueItems'],
+    [[4], 'is a duplicate of the item at index 2', 'uniqueItems']
+  ])
+  expect(errors[2].value).toEqual({x: 3})
+  expect(typeErrors(TupleType(['string', 'string'], {uniqueItems: true}), ['a', 'a'])[0].path).toEqual([1])
+  expect(typeErrors(ArrayType('any', {uniqueItems: true}), [1, '1', [1], [1]]).map(error => error.path)).toEqual([[3]])
+  const payload = JSON.parse('[{"hasOwnProperty": 1}, {"hasOwnProperty": 1}, {"a": 1}]')
+  expect(typeErrors(ArrayType('any', {uniqueItems: true}), payload).map(error => error.path)).toEqual([[1]])
+})
+
+test('ArrayType - contains, minContains and maxContains', async () => {
+  const Admin = Enum(['admin'])
+  const Roles = ArrayType('string', {contains: Admin})
+  expect(typeErrors(Roles, ['user', 'admin'])).toEqual(undefined)
+  expect(typeErrors(Roles, ['user'])).toEqual([new TypeError(Roles, ['user'], 'must contain an item of type Enum', {code: 'contains'})])
+  expect(typeErrors(Roles, [])[0].code).toEqual('contains')
+  const Limited = ArrayType('string', {contains: Admin, minContains: 2, maxContains: 3})
+  expect(typeErrors(Limited, ['admin', 'admin'])).toEqual(undefined)
+  expect(typeErrors(Limited, ['admin']).map(error => [error.message, error.code])).toEqual([['must contain at least 2 items of type Enum but had 1', 'minContains']])
+  expect(typeErrors(Limited, Array(4).fill('admin')).map(error => [error.message, error.code])).toEqual([['must contain no more than 3 items of type Enum but had 4', 'maxContains']])
+  expect(typeErrors(ArrayType('string', {contains: Admin, minContains: 0}), ['user'])).toEqual(undefined)
+  expect(await typeErrorsAsync(Limited, ['admin'])).toEqual(typeErrors(Limited, ['admin']))
+  expect(() => ArrayType('string', {maxContains: 1})).toThrowError('ArrayType options minContains and maxContains need the contains option')
+})
+
+test('ArrayType - uniqueItems and contains are exported to JSON schema', () => {
+  const Tags = ArrayType('string', {uniqueItems: true, contains: Enum(['featured']), minContains: 1})
+  const schema = toJSONSchema(Tags)
+  expect(schema).toEqual({
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    type: 'array',
+    items: {type: 'string'},
+    uniqueItems: true,
+    contains: {enum: ['featured']}
+  })
+  expect(toJSONSchema(fromJSONSchema(schema))).toEqual(schema)
+  const Optional = ArrayType('string', {contains: Enum(['featured']), minContains: 0})
+  expect(toJSONSchema(Optional)).toEqual({$schema: 'http://json-schema.org/draft-07/schema#', type: 'array', items: {type: 'string'}})
+  const values = [[], ['a'], ['featured'], ['featured', 'a', 'a'], ['featured', 'featured']]
+  for (const type of [Tags, Optional]) {
+    expect(values.map(value => ajv.validate(toJSONSchema(type), value))).toEqual(values.map(value => isValid(type, value)))
+  }
+})
+
+test('ArrayType - minContains above 1 and maxContains are not exported to draft-07', () => {
+  const Scores = ArrayType('number', {contains: NumberType({minimum: 5}), minContains: 2, maxContains: 3})
+  const message = 'toJSONSchema cannot express the minContains and maxContains options of ArrayType in draft-07'
+  expect(() => toJSONSchema(Scores)).toThrowError(message)
+  expect(() => toJSONSchema(ObjectType({scores: ArrayType('number', {contains: 'number', maxContains: 1})}))).toThrowError(message)
+  expect(() => toJSONSchema(TupleType(['number'], {contains: 'number', minContains: 2}), {draft: 'draft-06'})).toThrowError('options of TupleType (array) in draft-06')
+  expect([[5, 1], [5, 6], [5, 6, 7, 8]].map(value => isValid(Scores, value))).toEqual([false, true, false])
+  expect(Object.keys(Scores)).not.toContain('minContains')
+  expect(Object.keys(Scores)).not.toContain('maxContains')
+})
+
+test('NumberType - exclusiveMinimum, exclusiveMaximum and multipleOf', () => {
+  const Percentage = NumberType({exclusiveMinimum: 0, exclusiveMaximum: 100, multipleOf: 0.1})
+  expect(Percentage.description).toEqual('Number with exclusive minimum 0 and exclusive maximum 100 and multiple of 0.1')
+  for (const value of [0.1, 0.3, 50, 99.9]) expect(typeErrors(Percentage, value)).toEqual(undefined)
+  expect([0, 100, 0.15].map(value => typeErrors(Percentage, value).map(error => [error.message, error.code]))).toEqual([
+    [['must be greater than 0 but was 0', 'exclusiveMinimum']],
+    [['must be less than 100 but was 100', 'exclusiveMaximum']],
+    [['must be a multiple of 0.1 but was 0.15', 'multipleOf']]
+  ])
+  expect(() => NumberType({multipleOf: 0})).toThrowError('NumberType option multipleOf needs to be greater than 0')
+  const schema = toJSONSchema(Percentage)
+  expect(schema).toEqual({$schema: 'http://json-schema.org/draft-07/schema#', type: 'number', exclusiveMinimum: 0, exclusiveMaximum: 100, multipleOf: 0.1})
+  expect(ajv.validate(schema, 100)).toEqual(false)
+  expect(toJSONSchema(fromJSONSchema(schema))).toEqual(schema)
+  expect(() => fromJSONSchema({type: 'number', minimum: 0, exclusiveMinimum: true})).toThrowError('#/exclusiveMinimum (draft-04 booleans are not supported)')
+})
+
+test('IntegerType - validates integers', () => {
+  const Page = ObjectType({page: IntegerType({minimum: 1}), perPage: 'integer!'})
+  expect(typeErrors(Page, {page: 1, perPage: 10})).toEqual(undefined)
+  expect(typeErrors(Page, {page: 1.5, perPage: 'foo'}).map(error => [error.path, error.message, error.code])).toEqual([
+    [['page'], 'must be an integer but was 1.5', 'integer'],
+    [['perPage'], 'must be of type integer but was string', 'typeof']
+  ])
+  expect(typeErrors(Page, {page: 0, perPage: 1.5}).map(error => error.code)).toEqual(['minimum', 'integer'])
+  expect(IntegerType({maximum: 10}).description).toEqual('Integer with maximum 10')
+  expect(coerce(Page, {page: '2', perPage: '1.5'})).toEqual({value: {page: 2, perPage: '1.5'}, errors: typeErrors(Page, {page: 2, perPage: '1.5'})})
+  const schema = toJSONSchema(Page)
+  expect(schema.properties).toEqual({page: {type: 'integer', minimum: 1}, perPage: {type: 'integer'}})
+  expect(ajv.validate(schema, {page: 1.5, perPage: 1})).toEqual(false)
+  expect(fromJSONSchema(schema).properties.page.name).toEqual('IntegerType')
+  expect([NumberType({minimum: 1}).options, IntegerType().options]).toEqual([{minimum: 1}, undefined])
+  const Price = NumberType({name: 'Price'})
+  expect([Price.name, Price.title]).toEqual(['Price', 'NumberType'])
+  expect(typeErrors(Price, 'a')[0].message).toEqual('must be of type NumberType but was string')
+  expect(IntegerType({title: 'Page'}).name).toEqual('IntegerType')
+  expect(compile(Page)({page: 1, perPage: 2.5})).toEqual(typeErrors(Page, {page: 1, perPage: 2.5}))
+})
+
+test('StringType - format option checks formats and is exported to JSON schema', () => {
+  const Contact = ObjectType({email: StringType({format: 'email'}), website: StringType({format: 'uri', maxLength: 100})})
+  expect(typeErrors(Contact, {email: 'joe@example.com', website: 'https://example.com'})).toEqual(undefined)
+  const errors = typeErrors(Contact, {email: 'joe', website: 'example.com'})
+  expect(errors.map(error => [error.path, error.message, error.code])).toEqual([
+    [['email'], 'must match format email', 'format'],
+    [['website'], 'must match format uri', 'format']
+  ])
+  expect(Contact.properties.website.description).toEqual('String with maximum length 100 and format uri')
+  const schema = toJSONSchema(Contact)
+  expect(schema.properties.email).toEqual({type: 'string', format: 'email'})
+  expect(ajv.validate(schema, {email: 'joe'})).toEqual(false)
+  expect(toJSONSchema(fromJSONSchema(schema))).toEqual(schema)
+  expect(() => StringType({format: 'phone-number'})).toThrowError('StringType has no format phone-number, use addFormat to add it')
+  addFormat('phone-number', /^\+?[0-9 ]+$/)
+  expect(typeErrors(StringType({format: 'phone-number'}), '+46 70')).toEqual(undefined)
+  expect(typeErrors(StringType({format: 'phone-number'}), 'foo')[0].code).toEqual('format')
+})
+
+describe('fromJSONSchema', () => {
+  const schema = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    definitions: {Tag: {type: 'string', minLength: 1}},
+    type: 'object',
+    required: ['name', 'tags'],
+    additionalProperties: false,
+    properties: {
+      name: {type: 'string', maxLength: 5, title: 'Name'},
+      age: {type: 'integer', minimum: 0},
+      kind: {enum: ['a', 'b'], default: 'a'},
+      tags: {type: 'array', items: {$ref: '#/definitions/Tag'}, maxItems: 2},
+      point: {type: 'array', items: [{type: 'number'}, {type: 'number'}], additionalItems: false},
+      extra: {type: ['string', 'null']},
+      either: {anyOf: [{type: 'string'}, {type: 'number'}]},
+      both: {allOf: [{type: 'number', minimum: 1}, {type: 'number', maximum: 2}]}
+    },
+    patternProperties: {'^x-': {type: 'boolean'}}
+  }
+  const User = fromJSONSchema(schema)
+
+  test('validates like the schema', () => {
+    expect(typeErrors(User, {name: 'ab', tags: ['x'], 'x-y': true, point: [1], extra: null, either: 1, both: 2})).toEqual(undefined)
+    const value = {name: 'abcdefg', age: 1.5, kind: 'c', tags: ['', 'a', 'b'], point: [1, 2, 3], extra: 1, either: true, both: 3, 'x-y': 1, foo: 1}
+    expect(typeErrors(User, value).map(error => [error.path, error.message])).toEqual([
+      [['name'], 'must have at most 5 characters but had 7'],
+      [['age'], 'must be an integer but was 1.5'],
+      [['kind'], 'must be one of: "a", "b"'],
+      [['tags', 0], 'must have at least 1 characters but had only 0'],
+      [['tags'], 'must have no more than 2 items but had 3'],
+      [['point'], 'must have no more than 2 items but had 3'],
+      [['extra'], 'must be of type string|null but was number'],
+      [['either'], 'must be of type AnyOf(StringType, NumberType)'],
+      [['both'], 'must be no more than 2 but was 3'],
+      [['x-y'], 'must be of type boolean but was number'],
+      [undefined, 'has the following invalid keys: foo']
+    ])
+    expect(typeErrors(User, {})[0].message).toEqual('is missing the following required keys: name, tags')
+  })
+
+  test('passes on title, description and default', () => {
+    expect(User.properties.name.title).toEqual('Name')
+    expect(applyDefaults(User, {name: 'a', tags: []})).toEqual({name: 'a', tags: [], kind: 'a'})
+  })
+
+  test('infers the type from keywords when there is no type', () => {
+    expect(typeErrors(fromJSONSchema({}), 1)).toEqual(undefined)
+    expect(typeErrors(fromJSONSchema(true), 1)).toEqual(undefined)
+    expect(typeErrors(fromJSONSchema({properties: {a: {type: 'number'}}}), 1)[0].message).toEqual('must be of type ObjectType but was number')
+    expect(typeErrors(fromJSONSchema({items: [{type: 'number'}]}), [])).toEqual(undefined)
+  })
+
+  test('validates all items with additionalItems when items is an empty array', () => {
+    expect(typeErrors(fromJSONSchema({items: []}), [1, 'a'])).toEqual(undefined)
+    expect(typeErrors(fromJSONSchema({items: [], additionalItems: {type: 'number'}}), [1, 'a'])[0].path).toEqual([1])
+    expect(typeErrors(fromJSONSchema({items: [], additionalItems: false}), [])).toEqual(undefined)
+    expect(typeErrors(fromJSONSchema({items: [], additionalItems: false}), [1])[0].code).toEqual('maxItems')
+    expect(typeErrors(ArrayType('any', {maxItems: 0}), [1])[0].code).toEqual('maxItems')
+  })
+
+  test('converts recursive references to lazy types', () => {
+    const Node = fromJSONSchema({
+      definitions: {Node: {type: 'object', required: ['value'], properties: {value: {type: 'number'}, children: {type: 'array', items: {$ref: '#/definitions/Node'}}}}},
+      type: 'object',
+      properties: {root: {$ref: '#/definitions/Node'}, next: {$ref: '#'}}
+    })
+    expect(typeErrors(Node, {root: {value: 1, children: [{value: 2, children: [{}]}]}, next: {next: {root: {value: 1}}}})[0].path).toEqual(['root', 'children', 0, 'children', 0])
+    expect(typeErrors(Node, {next: {next: {root: {value: 'foo'}}}})[0].path).toEqual(['next', 'next', 'root', 'value'])
+  })
+
+  test('throws an error listing unsupported keywords', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        email: {type: 'string', format: 'phone'},
+        data: {type: 'string', contentEncoding: 'base64'},
+        other: {$ref: '#/definitions/Other'},
+        a: {type: 'date'}
+      },
+      additionalProperties: {type: 'string'}
+    }
+    expect(() => fromJSONSchema(schema)).toThrowError('fromJSONSchema does not support the following keywords: ' + [
+      '#/properties/email/format (unknown format phone)',
+      '#/properties/data/contentEncoding',
+      '#/properties/other/$ref (#/definitions/Other not found)',
+      '#/properties/a/type (unknown type date)',
+      '#/additionalProperties (only booleans are supported)'
+    ].join(', '))
+    expect(() => fromJSONSchema('string')).toThrowError(/fromJSONSchema expects a JSON schema object/)
+  })
+})
+
+describe('toJSONSchema', () => {
+  const Item = ObjectType({
+    id: 'number!',
+    name: Required(StringType({minLength: 2, title: 'Name'})),
+    tags: ['string'],
+    status: Enum(['active', null]),
+    point: TupleType(['number', 'number'], {rest: 'string'}),
+    event: OneOfTagged('kind', {created: ObjectType({by: 'string!'}), deleted: {}}),
+    amount: AllOf([NumberType({minimum: 1}), AnyOf(['number', 'null'])]),
+    createdAt: 'date',
+    klass: InstanceOf(Date),
+    even: function isEven (value) { return value % 2 === 0 },
+    any: 'any'
+  }, {additionalProperties: false, description: 'An item', default: {id: 1, name: 'foo'}, patternProperties: {'^x-': 'boolean'}})
+
+  test('emits a valid draft-07 document without extensions', () => {
+    const schema = toJSONSchema(Item)
+    expect(ajv.validateSchema(schema)).toEqual(true)
+    expect(JSON.parse(JSON.stringify(schema))).toEqual(schema)
+    expect(schema).toEqual({
+      $schema: 'http://json-schema.org/draft-07/schema#',
+      description: 'An item',
+      default: {id: 1, name: 'foo'},
+      type: 'object',
+      properties: {
+        id: {type: 'number'},
+        name: {title: 'Name', type: 'string', minLength: 2},
+        tags: {type: 'array', items: {type: 'string'}},
+        status: {enum: ['active', null]},
+        point: {type: 'array', minItems: 2, items: [{type: 'number'}, {type: 'number'}], additionalItems: {type: 'string'}},
+        event: {
+          type: 'object',
+          required: ['kind'],
+          properties: {kind: {enum: ['created', 'deleted']}},
+          anyOf: [
+            {allOf: [{properties: {kind: {enum: ['created']}}}, {type: 'object', properties: {by: {type: 'string'}}, required: ['by']}]},
+            {allOf: [{properties: {kind: {enum: ['deleted']}}}, {}]}
+          ]
+        },
+        amount: {allOf: [{type: 'number', minimum: 1}, {anyOf: [{type: 'number'}, {type: 'null'}]}]},
+        createdAt: {'x-validate': 'TypeOf(date)'},
+        klass: {'x-validate': 'InstanceOf(Date)'},
+        even: {'x-validate': 'isEven'},
+        any: {}
+      },
+      required: ['id', 'name'],
+      additionalProperties: false,
+      patternProperties: {'^x-': {type: 'boolean'}}
+    })
+  })
+
+  test('validates JSON data like typeErrors with ajv', () => {
+    const schema = toJSONSchema(Item)
+    const values = [
+      {id: 1, name: 'foo', event: {kind: 'created', by: 'joe'}, point: [1, 2, 'a'], 'x-foo': true},
+      {id: 1, name: 'foo', event: {kind: 'created'}},
+      {id: 1, name: 'foo', event: {kind: 'foo'}},
+      {id: 1, name: 'f', status: 'foo', amount: 0},
+      {id: 1, name: 'foo', foo: 1, 'x-foo': 1},
+      {name: 'foo', tags: [1], point: [1]}
+    ]
+    for (const value of values) {
+      expect(ajv.validate(schema, value)).toEqual(typeErrors(Item, value) === undefined)
+    }
+  })
+
+  test('takes a draft option', () => {
+    expect(toJSONSchema('number', {draft: 'draft-06'})).toEqual({$schema: 'http://json-schema.org/draft-06/schema#', type: 'number'})
+    expect(() => toJSONSchema('number', {draft: 'draft-04'})).toThrowError('toJSONSchema supports drafts draft-06, draft-07 but got draft-04')
+  })
+
+  test('round trips with fromJSONSchema', () => {
+    const schema = toJSONSchema(ObjectType({name: 'string!', tags: ArrayType(StringType({maxLength: 3}), {maxItems: 2})}, {title: 'User'}))
+    expect(toJSONSchema(fromJSONSchema(schema))).toEqual(schema)
+  })
+})
+
+describe('Lazy', () => {
+  const TreeNode = ObjectType({value: 'number!', children: ArrayType(Lazy(() => TreeNode)), parent: Lazy(() => TreeNode, {title: 'Parent'})})
+
+  test('resolves the type when validating', () => {
+    expect(typeErrors(TreeNode, {value: 1, children: [{value: 2, children: [{value: 3}]}]})).toEqual(undefined)
+    const errors = typeErrors(TreeNode, {value: 1, children: [{value: 2, children: [{value: 'foo'}]}], parent: 1})
+    expect(errors.map(error => [error.path, error.message])).toEqual([
+      [['children', 0, 'children', 0, 'value'], 'must be of type number but was string'],
+      [['parent'], 'must be of type ObjectType but was number']
+    ])
+    expect(typeErrors(AnyOf(['string', Lazy(() => 'number')]), true)[0].message).toEqual('must be of type AnyOf(string, Lazy)')
+    expect(() => typeErrors(Lazy(() => undefined), 1)).toThrowError('The function of Lazy(Lazy) returned undefined instead of a type')
+  })
+
+  test('has a name in descriptions without invoking the function', () => {
+    const getType = jest.fn(() => 'number')
+    const Item = ObjectType({count: Lazy(getType)})
+    expect(getType).not.toHaveBeenCalled()
+    expect(TreeNode.properties.children.description).toEqual('Array with TreeNode')
+    expect(TreeNode.description).toEqual('Object with keys value (TypeOf, required), children (ArrayType), parent (Lazy)')
+    expect(TreeNode.properties.parent.description).toEqual('Lazy(Parent)')
+    expect(typeErrors(Item, {count: 1})).toEqual(undefined)
+    expect(getType).toHaveBeenCalledTimes(1)
+  })
+
+  test('detects cycles in values', () => {
+    const node = {value: 1, children: []}
+    node.children.push(node)
+    const errors = typeErrors(TreeNode, node)
+    expect(errors.map(error => [error.path, error.message, error.code])).toEqual([
+      [['children', 0, 'children', 0], 'has a circular reference (TreeNode)', 'cycle']
+    ])
+    expect(compile(TreeNode)(node)).toEqual(errors)
+  })
+
+  test('coerce, applyDefaults, strip and toJSONSchema follow lazy types', () => {
+    expect(coerce(TreeNode, {value: '1', children: [{value: '2'}]}).value).toEqual({value: 1, children: [{value: 2}]})
+    expect(strip(TreeNode, {value: 1, foo: 1, children: [{value: 2, bar: 2}]})).toEqual({value: 1, children: [{value: 2}]})
+    const Defaulted = ObjectType({node: Lazy(() => ObjectType({value: NumberType({default: 0})}))})
+    expect(applyDefaults(Defaulted, {node: {}})).toEqual({node: {value: 0}})
+    const node = {type: 'object', properties: {value: {type: 'number'}, children: {type: 'array', items: {$ref: '#/definitions/TreeNode'}}, parent: {$ref: '#/definitions/TreeNode'}}, required: ['value']}
+    const Tree = ObjectType({root: TreeNode})
+    expect(toJSONSchema(Tree)).toEqual({$schema: 'http://json-schema.org/draft-07/schema#', type: 'object', properties: {root: node}, definitions: {TreeNode: node}})
+    expect(ajv.validateSchema(toJSONSchema(Tree))).toEqual(true)
+  })
+
+  test('toJSONSchema refers to the root type as #', () => {
+    const schema = toJSONSchema(TreeNode)
+    const node = {type: 'object', properties: {value: {type: 'number'}, children: {type: 'array', items: {$ref: '#'}}, parent: {$ref: '#'}}, required: ['value']}
+    expect(schema).toEqual({$schema: 'http://json-schema.org/draft-07/schema#', ...node})
+    expect(ajv.validate(schema, {value: 1, children: [{value: 'a'}]})).toEqual(false)
+    expect(typeErrors(TreeNode, {value: 1, children: [{value: 'a'}]})[0].schemaPath).toEqual('#/properties/value/type')
+    expect(typeErrors(ObjectType({root: TreeNode}), {root: {value: 1, children: [{value: 'a'}]}})[0].schemaPath).toEqual('#/definitions/TreeNode/properties/value/type')
+  })
+})
+
+describe('TypeRegistry', () => {
+  const registry = TypeRegistry()
+  const Comment = registry.define('Comment', ObjectType({text: 'string!', author: Ref('User'), replies: [Ref('Comment')]}, {default: {text: ''}}))
+  registry.define('User', ObjectType({name: 'string!', comments: [Ref('Comment')]}))
+
+  test('validates self and mutually recursive types', () => {
+    expect(typeErrors(Comment, {text: 'a', replies: [{text: 'b', author: {name: 'joe', comments: [{text: 'c'}]}}]})).toEqual(undefined)
+    const value = {text: 'a', replies: [{text: 'b', replies: [{text: 1}]}], author: {name: 'joe', comments: [{}]}}
+    expect(typeErrors(Comment, value).map(error => [error.path, error.message])).toEqual([
+      [['author', 'comments', 0], 'is missing the following required keys: text'],
+      [['replies', 0, 'replies', 0, 'text'], 'must be of type string but was number']
+    ])
+    expect(compile(Comment)(value)).toEqual(typeErrors(Comment, value))
+    expect(typeErrors(Comment, 'foo')[0].message).toEqual('must be of type ObjectType but was string')
+  })
+
+  test('detects cycles in values', () => {
+    const comment = {text: 'a', replies: []}
+    comment.replies.push({text: 'b', replies: [comment]})
+    const errors = typeErrors(Comment, comment)
+    expect(errors.map(error => [error.path, error.message, error.code])).toEqual([
+      [['replies', 0, 'replies', 0], 'has a circular reference (Comment)', 'cycle']
+    ])
+    expect(compile(Comment)(comment)).toEqual(errors)
+    const Loop = TypeRegistry({Loop: AnyOf([Ref('Loop'), 'string'])})
+    expect(typeErrors(Loop.Ref('Loop'), 1)[0].message).toEqual('must be of type AnyOf(Loop, string)')
+  })
+
+  test('unbound refs use the registry option', () => {
+    expect(typeErrors(Ref('User'), {name: 1}, {registry})[0].path).toEqual(['name'])
+    expect(() => typeErrors(Ref('User'), {})).toThrowError('Ref(User) is not bound to a registry, use registry.Ref or the registry option of typeErrors')
+    expect(() => typeErrors(registry.Ref('Foo'), {})).toThrowError('TypeRegistry has no type named Foo')
+    expect(() => registry.define('User', 'string')).toThrowError('TypeRegistry already has a type named User')
+    expect(registry.names()).toEqual(['Comment', 'User'])
+  })
+
+  test('coerce, applyDefaults and strip follow refs', () => {
+    expect(coerce(Comment, {text: 'a', replies: [{text: 1}]}).value).toEqual({text: 'a', replies: [{text: '1'}]})
+    expect(applyDefaults(ObjectType({comment: Comment}), {})).toEqual({comment: {text: ''}})
+    expect(strip(Comment, {text: 'a', foo: 1, replies: [{text: 'b', bar: 2}]})).toEqual({text: 'a', replies: [{text: 'b'}]})
+  })
+
+  test('exports JSON schema with definitions', () => {
+    const definitions = {
+      Comment: {
+        default: {text: ''},
+        type: 'object',
+        properties: {
+          text: {type: 'string'},
+          author: {$ref: '#/definitions/User'},
+          replies: {type: 'array', items: {$ref: '#/definitions/Comment'}}
+        },
+        required: ['text']
+      },
+      User: {
+        type: 'object',
+        properties: {name: {type: 'string'}, comments: {type: 'array', items: {$ref: '#/definitions/Comment'}}},
+        required: ['name']
+      }
+    }
+    const schema = registry.toJSONSchema()
+    expect(schema).toEqual({$schema: 'http://json-schema.org/draft-07/schema#', definitions})
+    expect(ajv.validateSchema(schema)).toEqual(true)
+    const commentSchema = toJSONSchema(Comment)
+    expect(commentSchema).toEqual({$schema: 'http://json-schema.org/draft-07/schema#', $ref: '#/definitions/Comment', definitions})
+    expect(ajv.validate(commentSchema, {text: 'a', replies: [{text: 'b', author: {name: 1}}]})).toEqual(false)
+    expect(toJSONSchema(Ref('User'), {registry}).definitions).toEqual(definitions)
+  })
+})
+
+test('Enum and Const - compare values by value and show them as JSON', () => {
+  const Point = Enum([{x: 0, y: 0}, [1, 2], null, 'a'])
+  expect(Point.description).toEqual('Enum({"x":0,"y":0}, [1,2], null, "a")')
+  for (const value of [{y: 0, x: 0}, [1, 2], null, 'a']) expect(typeErrors(Point, value)).toEqual(undefined)
+  for (const value of [{x: 0}, {x: 0, y: 0, z: 0}, [2, 1], undefined, 'b']) {
+    expect(typeErrors(Point, value).map(error => [error.message, error.code])).toEqual([['must be one of: {"x":0,"y":0}, [1,2], null, "a"', 'enum']])
+  }
+  const Origin = Const({x: 0, y: 0})
+  expect(Origin.description).toEqual('Const({"x":0,"y":0})')
+  expect(typeErrors(Origin, JSON.parse('{"y": 0, "x": 0}'))).toEqual(undefined)
+  expect(typeErrors(Origin, {x: 0, y: 1}, {path: ['origin']})).toEqual([
+    new TypeError(Origin, {x: 0, y: 1}, 'must be equal to {"x":0,"y":0}', {path: ['origin'], code: 'const'})
+  ])
+  expect(typeErrors(Const(null), null)).toEqual(undefined)
+  expect(typeErrors(Const(false), 0)[0].message).toEqual('must be equal to false')
+  expect(coerce(ObjectType({a: Const(1), b: Const(null), c: Enum([true])}), {a: '1', b: 'null', c: 'true'}).value).toEqual({a: 1, b: null, c: true})
+  const payload = JSON.parse('{"hasOwnProperty": 1}')
+  expect(typeErrors(Enum([{a: 1}]), payload).map(error => error.code)).toEqual(['enum'])
+  expect(typeErrors(Const({a: 1}), payload).map(error => error.code)).toEqual(['const'])
+  expect(typeErrors(Enum([{hasOwnProperty: 1}]), payload)).toEqual(undefined)
+  expect(typeErrors(Const({hasOwnProperty: 1}), payload)).toEqual(undefined)
+})
+
+test('Const - is exported to and imported from JSON schema', () => {
+  const Config = ObjectType({version: Const(2), mode: AllOf(['string', Const('strict')]), tags: Const(['a'])})
+  const schema = toJSONSchema(Config)
+  expect(schema.properties).toEqual({version: {const: 2}, mode: {allOf: [{type: 'string'}, {const: 'strict'}]}, tags: {const: ['a']}})
+  const imported = fromJSONSchema(schema)
+  expect(toJSONSchema(imported)).toEqual(schema)
+  expect(fromJSONSchema({type: 'number', const: 1}).description).toEqual('Const(1)')
+  expect(fromJSONSchema({type: 'string', const: 1}).description).toEqual('AllOf(Const, StringType)')
+  for (const value of [{version: 2, mode: 'strict', tags: ['a']}, {version: 3}, {mode: 'loose'}, {tags: ['a', 'b']}, {version: '2'}]) {
+    const valid = typeErrors(Config, value) === undefined
+    expect(ajv.validate(schema, value)).toEqual(valid)
+    expect(typeErrors(imported, value) === undefined).toEqual(valid)
+  }
+})
+
+test('Nullable and Optional - allow null and undefined and keep the errors of the type', async () => {
+  const Name = StringType({minLength: 2, title: 'Name'})
+  const NullableName = Nullable(Name)
+  expect(NullableName.title).toEqual('Name')
+  expect(NullableName.type).toEqual(['string', 'null'])
+  expect(typeErrors(NullableName, null)).toEqual(undefined)
+  expect(typeErrors(NullableName, 'a')[0].message).toEqual('must have at least 2 characters but had only 1')
+  expect(typeErrors(NullableName, undefined)[0].code).toEqual('typeof')
+  expect(typeErrors(Optional(Name), undefined)).toEqual(undefined)
+  expect(typeErrors(Optional(Name), null)[0].code).toEqual('typeof')
+  expect(typeErrors(Nullable(Enum(['a'])), null)).toEqual(undefined)
+  expect(typeErrors(Nullable(Enum(['a'])), 'b')[0].code).toEqual('enum')
+
+  const User = ObjectType({id: 'number!', name: NullableName, nickname: Optional('string!'), email: 'string'})
+  expect(User.required).toEqual(['id'])
+  const values = [
+    {id: 1, name: null, nickname: undefined},
+    {id: 1},
+    {id: 1, email: undefined},
+    {id: undefined},
+    {id: 1, name: undefined},
+    {id: 1, nickname: null},
+    {id: 1, name: 'a'}
+  ]
+  expect(values.map(value => (typeErrors(User, value) || []).map(error => [error.path, error.code]))).toEqual([
+    [], [], [[['email'], 'typeof']], [[['id'], 'typeof']], [[['name'], 'typeof']], [[['nickname'], 'typeof']], [[['name'], 'minLength']]
+  ])
+  for (const value of values) {
+    expect(compile(User)(value)).toEqual(typeErrors(User, value))
+    expect(await typeErrorsAsync(User, value)).toEqual(typeErrors(User, value))
+  }
+  expect(coerce(ObjectType({a: Nullable('number'), b: Nullable('number')}), {a: 'null', b: '1'}).value).toEqual({a: null, b: 1})
+  expect(compile(Nullable(ObjectType({a: 'number'})))(null)).toEqual(undefined)
+})
+
+test('Nullable and Optional - are exported to and imported from JSON schema', () => {
+  const User = ObjectType({
+    name: Nullable(StringType({minLength: 2})),
+    role: Nullable(Enum(['admin', 'user'])),
+    nickname: Optional(Required('string')),
+    tags: Nullable(ArrayType('string', {description: 'Tags'}))
+  })
+  const schema = toJSONSchema(User)
+  expect(schema.properties).toEqual({
+    name: {type: ['string', 'null'], minLength: 2},
+    role: {anyOf: [{enum: ['admin', 'user']}, {type: 'null'}]},
+    nickname: {type: 'string'},
+    tags: {description: 'Tags', type: ['array', 'null'], items: {type: 'string'}}
+  })
+  expect(schema.required).toEqual(undefined)
+  const imported = fromJSONSchema(schema)
+  expect(typeErrors(imported, {name: 'a'})[0].message).toEqual('must have at least 2 characters but had only 1')
+  for (const value of [{name: null, role: null, tags: null}, {name: 'ab', role: 'user', tags: ['a']}, {name: 'a'}, {role: 'other'}, {tags: [1]}, {nickname: null}]) {
+    const valid = typeErrors(User, value) === undefined
+    expect(ajv.validate(schema, value)).toEqual(valid)
+    expect(typeErrors(imported, value) === undefined).toEqual(valid)
+  }
+})
+
+test('TypeError - built-in errors have params that are included in toJSON', () => {
+  const params = (type, value) => typeErrors(type, value).map(error => [error.code, error.params])
+  expect(params(StringType({minLength: 2, pattern: '^[a-z]+$'}), '1')).toEqual([['minLength', {limit: 2, actual: 1}], ['pattern', {pattern: '^[a-z]+$'}]])
+  expect(params(IntegerType({maximum: 1}), 1.5)).toEqual([['integer', {actual: 1.5}]])
+  expect(params(NumberType({exclusiveMinimum: 1, multipleOf: 2}), 1)).toEqual([['exclusiveMinimum', {limit: 1, actual: 1}], ['multipleOf', {limit: 2, actual: 1}]])
+  expect(params('number', 'a')).toEqual([['typeof', {expectedType: 'number', actualType: 'string'}]])
+  expect(params(Const('a'), 'b')).toEqual([['const', {allowedValue: 'a'}]])
+  expect(params(InstanceOf(Date), 1)).toEqual([['instanceof', {className: 'Date'}]])
+  expect(params(ObjectType({a: 'number'}, {required: ['b'], additionalProperties: false, dependentRequired: {a: ['c']}}), {a: 1, d: 1})).toEqual([
+    ['required', {missingKeys: ['b']}],
+    ['additionalProperties', {invalidKeys: ['d']}],
+    ['dependentRequired', {property: 'a', missingKeys: ['c']}]
+  ])
+  expect(params(ObjectType({}, {propertyNames: StringType({maxLength: 1}), maxProperties: 0}), {ab: 1})).toEqual([
+    ['maxProperties', {limit: 0, actual: 1}],
+    ['propertyNames', {propertyName: 'ab', reason: 'must have at most 1 characters but had 2'}]
+  ])
+  expect(params(ArrayType('any', {uniqueItems: true, minItems: 3, contains: Enum(['a'])}), [1, 1])).toEqual([
+    ['minItems', {limit: 3, actual: 2}],
+    ['uniqueItems', {firstIndex: 0}],
+    ['contains', {containsType: 'Enum'}]
+  ])
+  expect(params(TupleType(['number'], {additionalItems: false}), [1, 2])).toEqual([['additionalItems', {limit: 1, actual: 2}]])
+  expect(params(AnyOf(['number']), 'a')).toEqual([['anyOf', {expectedType: 'AnyOf(number)'}]])
+  expect(params(OneOf(['number', 'any']), 1)).toEqual([['oneOf', {matchingIndexes: [0, 1], matchingTypes: ['number (index 0)', 'any (index 1)']}]])
+  expect(params(Not('number'), 1)).toEqual([['not', {notType: 'number'}]])
+  expect(params(OneOfTagged('kind', {a: 'object'}), {kind: 'b'})).toEqual([['discriminator', {tag: 'kind', allowedValues: ['a']}]])
+  expect(params(() => false, 1)).toEqual([['invalid', {}]])
+  expect(params(() => 'is odd', 1)).toEqual([[undefined, {}]])
+  let assertError
+  try {
+    assertType(ObjectType({a: 'number!'}), {})
+  } catch (error) {
+    assertError = error
+  }
+  expect(assertError.params).toEqual({errorCount: 1})
+
+  const error = typeErrors(ObjectType({tags: ArrayType('string', {maxItems: 1})}), {tags: ['a', 'b']})[0]
+  const json = JSON.parse(JSON.stringify(error))
+  expect(json).toMatchObject({message: 'must have no more than 1 items but had 2', code: 'maxItems', path: ['tags'], value: ['a', 'b'], params: {limit: 1, actual: 2}})
+  expect(new TypeError('string', 1, 'is taken', {code: 'taken', params: {username: 1}}).toJSON().params).toEqual({username: 1})
+})
+
+test('ObjectType - requiredErrors: perKey gives one error per missing required key', async () => {
+  const summary = (errors) => errors.map(error => [error.path, error.message, error.code, error.params, error.value])
+  const Address = ExactObject({street: 'string!', zip: 'string!'})
+  const User = ObjectType({name: 'string!', email: 'string', address: Address}, {required: ['email']})
+  const value = {address: {zip: 1}}
+  const options = {requiredErrors: 'perKey', path: ['user']}
+  const errors = typeErrors(User, value, options)
+  expect(summary(errors)).toEqual([
+    [['user', 'email'], 'is required', 'required', {missingProperty: 'email'}, undefined],
+    [['user', 'name'], 'is required', 'required', {missingProperty: 'name'}, undefined],
+    [['user', 'address', 'street'], 'is required', 'required', {missingProperty: 'street'}, undefined],
+    [['user', 'address', 'zip'], 'must be of type string but was number', 'typeof', {expectedType: 'string', actualType: 'number'}, 1]
+  ])
+  expect(await typeErrorsAsync(User, value, options)).toEqual(errors)
+  expect(summary(compile(User, options)(value))).toEqual(summary(errors))
+  expect(typeErrors(User, value, merge(options, {maxErrors: 1})).length).toEqual(1)
+  expect(summary(typeErrors(User, value, {requiredErrors: 'combined'}).slice(0, 1))).toEqual([
+    [undefined, 'is missing the following required keys: email, name', 'required', {missingKeys: ['email', 'name']}, value]
+  ])
+  const Nested = NestedObject({a: {b: 'number!'}})
+  expect(summary(typeErrors(Nested, {a: {}}, {requiredErrors: 'perKey'}))).toEqual([[['a', 'b'], 'is required', 'required', {missingProperty: 'b'}, undefined]])
+  expect(typeErrors(User, {}, {requiredErrors: 'perKey', locale: 'de'})[0].message).toEqual('ist erforderlich')
+  expect(() => typeErrors(User, {}, {requiredErrors: 'each'})).toThrowError('typeErrors option requiredErrors needs to be one of combined, perKey but was each')
+})
+
+test('errorTree - groups messages by path, nested or flat', async () => {
+  const User = ObjectType({
+    name: StringType({minLength: 2}),
+    address: ObjectType({street: 'string!', zip: 'string'}, {required: ['street']}),
+    tags: ArrayType(ArrayType('string'), {maxItems: 1})
+  }, {additionalProperties: false})
+  const value = {name: 'a', address: {zip: 1}, tags: [['a', 2], [true]], extra: 1}
+  const tree = {
+    _errors: ['has the following invalid keys: extra'],
+    name: ['must have at least 2 characters but had only 1'],
+    address: {
+      _errors: ['is missing the following required keys: street'],
+      zip: ['must be of type string but was number']
+    },
+    tags: {
+      _errors: ['must have no more than 1 items but had 2'],
+      0: {1: ['must be of type string but was number']},
+      1: {0: ['must be of type string but was boolean']}
+    }
+  }
+  expect(errorTree(User, value)).toEqual(tree)
+  expect(await errorTreeAsync(User, value)).toEqual(tree)
+  expect(errorTree(User, value, {flat: true})).toEqual({
+    _errors: ['has the following invalid keys: extra'],
+    name: ['must have at least 2 characters but had only 1'],
+    address: ['is missing the following required keys: street'],
+    'address.zip': ['must be of type string but was number'],
+    tags: ['must have no more than 1 items but had 2'],
+    'tags.0.1': ['must be of type string but was number'],
+    'tags.1.0': ['must be of type string but was boolean']
+  })
+  expect(errorTree(User, {name: 'ab'})).toEqual(undefined)
+  expect(await errorTreeAsync(User, {name: 'ab'}, {flat: true})).toEqual(undefined)
+  expect(errorTree('number', 'a')).toEqual({_errors: ['must be of type number but was string']})
+  const keys = JSON.parse('{"hasOwnProperty": "a", "__proto__": "b", "c": 1}')
+  const keysTree = errorTree(ObjectOf('number'), keys)
+  expect(Object.keys(keysTree)).toEqual(['hasOwnProperty', '__proto__'])
+  expect(keysTree.hasOwnProperty).toEqual(['must be of type number but was string'])
+  expect(Object.getOwnPropertyDescriptor(keysTree, '__proto__').value).toEqual(['must be of type number but was string'])
+  expect(Object.getPrototypeOf(keysTree)).toBe(Object.prototype)
+  expect(Object.keys(errorTree(ObjectOf('number'), keys, {flat: true}))).toEqual(['hasOwnProperty', '__proto__'])
+  expect(errorTree(ExactObject({_errors: 'number'}), {_errors: 'a', extra: 1})).toEqual({
+    _errors: ['has the following invalid keys: extra', 'must be of type number but was string']
+  })
+  expect(errorTree(ObjectType({_errors: 'number'}, {required: ['x']}), {_errors: 'a'}, {flat: true})).toEqual({
+    _errors: ['is missing the following required keys: x', 'must be of type number but was string']
+  })
+  expect(errorTree(ObjectType({_errors: ObjectType({a: 'number'})}), {_errors: {a: 'b'}})).toEqual({_errors: {a: ['must be of type number but was string']}})
+  expect(errorTree(User, value, {requiredErrors: 'perKey', maxErrors: 3, locale: 'sv'})).toEqual({
+    name: ['måste ha minst 2 tecken men hade bara 1'],
+    address: {street: ['är obligatorisk'], zip: ['måste vara av typen string men var number']}
+  })
+})
+
+test('TypeError - has an instancePath and a schemaPath', async () => {
+  const registry = TypeRegistry({Tag: StringType({minLength: 2})})
+  const Order = ObjectType({
+    items: ArrayType(ObjectType({name: 'string!', 'a/b': 'number'})),
+    point: TupleType(['number'], {rest: 'string'}),
+    tags: ObjectOf(registry.Ref('Tag')),
+    code: IfThenElse('string', StringType({pattern: '^[A-Z]+$'}), 'number'),
+    id: AllOf(['number', Validate(v => v > 0)])
+  })
+  const value = {items: [{name: 'a'}, {'a/b': 'x'}], point: [1, 2], tags: {a: 'x'}, code: 'abc', id: -1}
+  const errors = typeErrors(Order, value)
+  const paths = [
+    ['/items/1', '#/properties/items/items/required'],
+    ['/items/1/a~1b', '#/properties/items/items/properties/a~1b/type'],
+    ['/point/1', '#/properties/point/additionalItems/type'],
+    ['/tags/a', '#/definitions/Tag/minLength'],
+    ['/code', '#/properties/code/then/pattern'],
+    ['/id', '#/properties/id/allOf/1/x-validate']
+  ]
+  expect(errors.map(e => [e.instancePath, e.schemaPath])).toEqual(paths)
+  expect((await typeErrorsAsync(Order, value)).map(e => [e.instancePath, e.schemaPath])).toEqual(paths)
+  expect(JSON.parse(JSON.stringify(errors[0]))).toMatchObject({path: ['items', 1], instancePath: '/items/1', schemaPath: '#/properties/items/items/required'})
+  const [error] = typeErrors('number', 'a')
+  expect([error.instancePath, error.schemaPath]).toEqual(['', '#/type'])
+  const Shape = OneOfTagged('kind', {circle: ObjectType({radius: 'number'}), square: ObjectType({side: 'number'})})
+  expect(typeErrors(Shape, {kind: 'square', side: 'a'}).map(e => e.schemaPath)).toEqual(['#/anyOf/1/allOf/1/properties/side/type'])
+  expect(typeErrors(Shape, {kind: 'oval'}).map(e => [e.instancePath, e.schemaPath])).toEqual([['/kind', '#/properties/kind/enum']])
+  expect(typeErrors(Shape, {}).map(e => e.schemaPath)).toEqual(['#/required'])
+  const User = ObjectType({name: Validate(v => v !== 'root' || [new TypeError('name', v, 'is reserved')])})
+  expect(typeErrors(User, {name: 'root'}).map(e => [e.instancePath, e.schemaPath])).toEqual([['/name', '#/properties/name/x-validate']])
+  expect(new TypeError('string', 1, 'is invalid').instancePath).toEqual('')
+})
+
+test('TypeError - schemaPath points to the failing keyword in the JSON schema of toJSONSchema', () => {
+  const registry = TypeRegistry({Tag: StringType({minLength: 2})})
+  const Shape = OneOfTagged('kind', {circle: ObjectType({radius: 'number'}), square: ObjectType({side: 'number'})})
+  const Order = ObjectType({
+    shape: Shape,
+    shapes: ArrayType(Nullable(Shape)),
+    status: Nullable(Enum(['new', 'paid'])),
+    tags: ArrayType(registry.Ref('Tag'), {uniqueItems: true}),
+    card: ObjectType({number: 'string', cvc: 'string', zip: 'string'}, {
+      dependentRequired: {number: ['cvc']},
+      dependentSchemas: {number: ObjectType({zip: StringType({pattern: '^[0-9]+$'})}), cvc: ObjectType({}, {required: ['number']})}
+    }),
+    id: AllOf(['number', Validate(v => v > 0)]),
+    pair: TupleType(['number', 'string'], {additionalItems: false}),
+    code: IfThenElse('string', StringType({pattern: '^[A-Z]+$'}), 'number')
+  }, {required: ['shape']})
+  const value = {
+    shape: {kind: 'oval'},
+    shapes: [null, {kind: 'circle', radius: 'a'}, 1],
+    status: 'old',
+    tags: ['a', 'bb', 'bb'],
+    card: {number: '1', zip: 'a'},
+    id: -1,
+    pair: [1, 'a', 2],
+    code: 'abc',
+    extra: 1
+  }
+  const schema = toJSONSchema(Order, {registry})
+  const resolve = (schemaPath) => schemaPath.split('/').slice(1).map(key => key.replace(/~1/g, '/').replace(/~0/g, '~')).reduce((s, key) => s && s[key], schema)
+  const errors = typeErrors(Order, value)
+  expect(errors.map(e => e.schemaPath)).toEqual([
+    '#/properties/shape/properties/kind/enum',
+    '#/properties/shapes/items/anyOf/0/anyOf/0/allOf/1/properties/radius/type',
+    '#/properties/shapes/items/anyOf/0/type',
+    '#/properties/status/anyOf/0/enum',
+    '#/definitions/Tag/minLength',
+    '#/properties/tags/uniqueItems',
+    '#/properties/card/dependencies/number/required',
+    '#/properties/card/dependencies/number/allOf/0/properties/zip/pattern',
+    '#/properties/id/allOf/1/x-validate',
+    '#/properties/pair/additionalItems',
+    '#/properties/code/then/pattern'
+  ])
+  errors.forEach(error => expect([error.schemaPath, resolve(error.schemaPath)]).not.toEqual([error.schemaPath, undefined]))
+  expect(ajv.validate(schema, value)).toEqual(false)
+})
+
+test('formatPath and toJSONPointer - format paths', () => {
+  expect(formatPath(['items', 3, 'name'])).toEqual('items[3].name')
+  expect(formatPath([0, 'a-b', '$id', ''])).toEqual('[0]["a-b"].$id[""]')
+  expect(formatPath([])).toEqual('')
+  expect(toJSONPointer(['items', 3, 'a/b', 'c~d'])).toEqual('/items/3/a~1b/c~0d')
+  expect(toJSONPointer([])).toEqual('')
+})
+
+test('assertType - the message has the paths of nested errors', async () => {
+  const Order = ObjectType({items: ArrayType(ObjectType({name: 'string!'}))})
+  const message = 'value has invalid type - there are 2 type errors: items[0] (/items/0): is missing the following required keys: name, ' +
+    'items[1].name (/items/1/name): must be of type string but was number'
+  expect(() => assertType(Order, {items: [{}, {name: 1}]})).toThrowError(message)
+  await expect(assertTypeAsync(Order, {items: [{}, {name: 1}]})).rejects.toThrowError(message)
+  expect(() => assertType(Order, 'a')).toThrowError('value has invalid type - there are 1 type errors: must be of type ObjectType but was string')
+})
+
+test('OneOf - exactly one type needs to match', async () => {
+  const Contact = OneOf([
+    ObjectType({email: StringType({format: 'email'})}, {required: ['email']}),
+    ObjectType({phone: 'string!'})
+  ])
+  expect(Contact.description).toEqual('OneOf(ObjectType, ObjectType)')
+  expect(typeErrors(Contact, {email: 'jane@example.com'})).toEqual(undefined)
+  expect(typeErrors(Contact, {phone: '555'})).toEqual(undefined)
+  const both = typeErrors(Contact, {email: 'jane@example.com', phone: '555'}, {path: ['contact']})
+  expect(both.map(error => [error.path, error.message, error.code])).toEqual([
+    [['contact'], 'must match exactly one type but matched ObjectType (index 0), ObjectType (index 1)', 'oneOf']
+  ])
+  const none = typeErrors(Contact, {email: 'jane', phone: 555})
+  expect(none.map(error => [error.message, error.code])).toEqual([['must be of type OneOf(ObjectType, ObjectType)', 'oneOf']])
+  expect(none[0].childErrors.map(error => [error.path, error.message])).toEqual([
+    [['email'], 'must match format email'],
+    [['phone'], 'must be of type string but was number']
+  ])
+  for (const value of [{phone: '555'}, {email: 'jane@example.com', phone: '555'}, {email: 'jane', phone: 555}]) {
+    expect(await typeErrorsAsync(Contact, value)).toEqual(typeErrors(Contact, value))
+    expect(compile(Contact)(value)).toEqual(typeErrors(Contact, value))
+  }
+  expect(coerce(OneOf(['boolean', StringType({minLength: 2})]), 'true').value).toEqual('true')
+  expect(coerce(OneOf(['boolean', NumberType({minimum: 10})]), '5').value).toEqual('5')
+  expect(coerce(OneOf([NumberType({minimum: 10}), 'boolean']), '50').value).toEqual(50)
+  expect(strip(OneOf([ObjectType({a: 'number!'}), ObjectType({b: 'number!'})]), {b: 1, c: 2})).toEqual({b: 1})
+})
+
+test('Not - the type must not match', async () => {
+  const Name = AllOf([StringType(), Not(Enum(['admin', 'root']))])
+  expect(typeErrors(Name, 'jane')).toEqual(undefined)
+  const errors = typeErrors(ObjectType({name: Name}), {name: 'root'})
+  expect(errors.map(error => [error.path, error.message, error.code])).toEqual([[['name'], 'must not be of type Enum', 'not']])
+  expect(await typeErrorsAsync(Not('number'), 1)).toEqual(typeErrors(Not('number'), 1))
+  expect(typeErrors(Not('number'), 'a')).toEqual(undefined)
+})
+
+test('OneOf and Not - are exported to and imported from JSON schema', () => {
+  const Value = OneOf([NumberType({minimum: 0}), NumberType({multipleOf: 10}), Not(AnyOf(['number', 'null']))])
+  const schema = toJSONSchema(Value)
+  expect(schema).toEqual({
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    oneOf: [{type: 'number', minimum: 0}, {type: 'number', multipleOf: 10}, {not: {anyOf: [{type: 'number'}, {type: 'null'}]}}]
+  })
+  const imported = fromJSONSchema(schema)
+  expect(toJSONSchema(imported)).toEqual(schema)
+  for (const value of [5, 10, -10, -5, null, 'a', {}]) {
+    const valid = typeErrors(Value, value) === undefined
+    expect(ajv.validate(schema, value)).toEqual(valid)
+    expect(typeErrors(imported, value) === undefined).toEqual(valid)
+  }
+})
+
+describe('IfThenElse', () => {
+  const Card = ObjectType({method: Enum(['card'])}, {required: ['method']})
+  const CardPayment = ObjectType({cardNumber: StringType({pattern: '^[0-9]{16}$'})}, {required: ['cardNumber']})
+  const InvoicePayment = ObjectType({address: ObjectType({city: 'string!'})}, {required: ['address']})
+  const Payment = IfThenElse(Card, CardPayment, InvoicePayment)
+  const values = [
+    {method: 'card', cardNumber: '1234123412341234'},
+    {method: 'card', cardNumber: '1234'},
+    {method: 'card', address: {city: 'Oslo'}},
+    {method: 'invoice', address: {city: 'Oslo'}},
+    {method: 'invoice', address: {}},
+    {cardNumber: '1234123412341234'},
+    'card'
+  ]
+
+  test('validates the then type if the if type is valid and otherwise the else type', async () => {
+    expect(Payment.description).toEqual('IfThenElse(if ObjectType then ObjectType else ObjectType)')
+    expect(typeErrors(Payment, values[0])).toEqual(undefined)
+    expect(typeErrors(Payment, values[3])).toEqual(undefined)
+    expect(typeErrors(Payment, values[1]).map(error => [error.path, error.message])).toEqual([[['cardNumber'], 'must match pattern ^[0-9]{16}$']])
+    expect(typeErrors(Payment, values[4]).map(error => [error.path, error.message])).toEqual([[['address'], 'is missing the following required keys: city']])
+    expect(typeErrors(Payment, values[4], {path: ['payment']})[0].path).toEqual(['payment', 'address'])
+    expect(typeErrors(Payment, 'card')[0].type).toEqual(InvoicePayment)
+    for (const value of values) {
+      expect(await typeErrorsAsync(Payment, value)).toEqual(typeErrors(Payment, value))
+      expect(compile(Payment)(value)).toEqual(typeErrors(Payment, value))
+    }
+  })
+
+  test('a missing then or else type allows any value', () => {
+    expect(typeErrors(IfThenElse(Card, undefined, InvoicePayment), values[1])).toEqual(undefined)
+    expect(typeErrors(IfThenElse(Card, CardPayment), values[4])).toEqual(undefined)
+    expect(typeErrors(IfThenElse(Card, CardPayment), values[1])[0].path).toEqual(['cardNumber'])
+    expect(() => IfThenElse(Card)).toThrowError('IfThenElse expects a then or an else type')
+  })
+
+  test('coerce, applyDefaults and strip use the chosen type', () => {
+    const Discount = IfThenElse(
+      ObjectType({member: Enum([true])}, {required: ['member']}),
+      ObjectType({percent: NumberType({default: 10})}),
+      ObjectType({percent: NumberType({default: 0}), code: 'string'})
+    )
+    expect(coerce(Discount, {member: true, percent: '15'}).value).toEqual({member: true, percent: 15})
+    expect(applyDefaults(Discount, {member: true})).toEqual({member: true, percent: 10})
+    expect(applyDefaults(Discount, {member: false})).toEqual({member: false, percent: 0})
+    expect(strip(Discount, {member: true, percent: 5, code: 'A'})).toEqual({member: true, percent: 5})
+    expect(strip(Discount, {member: false, code: 'A', other: 1})).toEqual({member: false, code: 'A'})
+  })
+
+  test('is exported to and imported from JSON schema', () => {
+    const schema = toJSONSchema(Payment)
+    expect(Object.keys(schema)).toEqual(['$schema', 'if', 'then', 'else'])
+    expect(schema.if).toEqual({type: 'object', properties: {method: {enum: ['card']}}, required: ['method']})
+    expect(toJSONSchema(IfThenElse(Card, CardPayment)).else).toEqual(undefined)
+    const draft06 = toJSONSchema(Payment, {draft: 'draft-06'})
+    expect(draft06.anyOf).toEqual([{allOf: [schema.if, schema.then]}, {allOf: [{not: schema.if}, schema.else]}])
+    const imported = fromJSONSchema(schema)
+    for (const value of values) {
+      const valid = typeErrors(Payment, value) === undefined
+      expect(ajv.validate(schema, value)).toEqual(valid)
+      expect(ajv.validate(merge(draft06, {$schema: undefined}), value)).toEqual(valid)
+      expect(typeErrors(imported, value) === undefined).toEqual(valid)
+    }
+    expect(typeErrors(imported, values[4])[0].path).toEqual(['address'])
+    expect(typeErrors(fromJSONSchema({then: {type: 'string'}}), 1)).toEqual(undefined)
+  })
+})
+
 test('Types that take a required argument will throw error if not provided', () => {
   expect(() => Enum()).toThrowError(/Enum expects a non empty array/)
+  expect(() => Const()).toThrowError(/Const expects/)
   expect(() => InstanceOf()).toThrowError(/InstanceOf expects/)
   expect(() => TypeOf()).toThrowError(/TypeOf expects/)
   expect(() => Validate()).toThrowError(/Validate expects/)
   expect(() => AllOf()).toThrowError(/AllOf expects/)
   expect(() => AnyOf()).toThrowError(/AnyOf expects/)
+  expect(() => TupleType()).toThrowError(/TupleType expects/)
+  expect(() => OneOfTagged()).toThrowError(/OneOfTagged expects/)
+  expect(() => OneOfTagged('kind')).toThrowError(/OneOfTagged expects/)
+  expect(() => Ref()).toThrowError(/Ref expects/)
+  expect(() => Lazy()).toThrowError(/Lazy expects/)
+  expect(() => IfThenElse()).toThrowError(/IfThenElse expects/)
+  expect(() => OneOf()).toThrowError(/OneOf expects/)
+  expect(() => Not()).toThrowError(/Not expects/)
+  expect(() => Nullable()).toThrowError(/Nullable expects/)
+  expect(() => Optional()).toThrowError(/Optional expects/)
 })
@@ -0,0 +1,66 @@
+const {setLocale, getLocale, addMessages, formatMessage} = require('../src/messages')
+const {typeErrors, typeErrorsAsync, compile, ObjectType, ArrayType, StringType, NumberType, Enum, OneOf} = require('../src/index')
+
+afterEach(() => setLocale('en'))
+
+test('formatMessage - interpolates params and renders arrays and JSON', () => {
+  expect(formatMessage('minLength', {limit: 3, actual: 1})).toEqual('must have at least 3 characters but had only 1')
+  expect(formatMessage('required', {missingKeys: ['a', 'b']})).toEqual('is missing the following required keys: a, b')
+  expect(formatMessage('enum', {allowedValues: ['a', 1, null, [1, 2]]})).toEqual('must be one of: "a", 1, null, [1,2]')
+  expect(formatMessage('minLength', {limit: 3, actual: 1}, {locale: 'de'})).toEqual('muss mindestens 3 Zeichen haben, hatte aber nur 1')
+  expect(formatMessage('minLength', {limit: 3}, {overrides: [undefined, {minLength: 'min {limit}, {unknown}'}]})).toEqual('min 3, {unknown}')
+  expect(formatMessage('minLength', {limit: 3}, {overrides: [{minLength: (params) => `${params.limit * 2}`}]})).toEqual('6')
+  expect(() => formatMessage('minLength', {}, {locale: 'fr'})).toThrowError('The locale option expects one of the locales en, sv, de but got fr')
+})
+
+test('setLocale - translates the messages of all built-in errors', async () => {
+  const Order = ObjectType({
+    id: 'number!',
+    email: StringType({format: 'email'}),
+    status: Enum(['open', 'closed']),
+    items: ArrayType(NumberType({minimum: 1}), {maxItems: 1})
+  }, {additionalProperties: false})
+  const value = {email: 'foo', status: 'sent', items: [0, 2], extra: 1}
+  expect(getLocale()).toEqual('en')
+  setLocale('sv')
+  expect(getLocale()).toEqual('sv')
+  const errors = typeErrors(Order, value)
+  expect(errors.map(error => error.message)).toEqual([
+    'saknar följande obligatoriska nycklar: id',
+    'måste ha formatet email',
+    'måste vara ett av: "open", "closed"',
+    'måste vara minst 1 men var 0',
+    'får ha högst 1 element men hade 2',
+    'har följande ogiltiga nycklar: extra'
+  ])
+  expect(errors.map(error => error.params)).toEqual([
+    {missingKeys: ['id']},
+    {format: 'email'},
+    {allowedValues: ['open', 'closed']},
+    {limit: 1, actual: 0},
+    {limit: 1, actual: 2},
+    {invalidKeys: ['extra']}
+  ])
+  expect(await typeErrorsAsync(Order, value)).toEqual(errors)
+  expect(compile(Order)(value).map(error => error.message)).toEqual(errors.map(error => error.message))
+  expect(typeErrors(Order, value, {locale: 'de'})[0].message).toEqual('es fehlen die folgenden Pflichtschlüssel: id')
+  expect(() => setLocale('fr')).toThrowError('setLocale expects one of the locales en, sv, de but got fr')
+})
+
+test('messages options - the messages of a type are used before the messages option of typeErrors', () => {
+  const Name = StringType({minLength: 2, maxLength: 4, messages: {minLength: 'too short'}})
+  expect(typeErrors(Name, 'a', {messages: {minLength: 'short', maxLength: 'long'}})[0].message).toEqual('too short')
+  expect(typeErrors(Name, 'abcde', {messages: {minLength: 'short', maxLength: 'long'}})[0].message).toEqual('long')
+  expect(typeErrors(Name, 1, {messages: {typeof: 'must be text'}})[0].message).toEqual('must be text')
+  const Id = OneOf(['number', 'number'], {messages: {oneOfMatches: 'matched {matchingIndexes}'}})
+  expect(typeErrors(Id, 1).map(error => [error.message, error.code])).toEqual([['matched 0, 1', 'oneOf']])
+  expect(() => StringType({messages: 'foo'})).toThrowError('Type of options key messages is string but needs to be object')
+})
+
+test('addMessages - adds messages to a locale or adds a new locale', () => {
+  addMessages('fr', {minLength: 'doit avoir au moins {limit} caractères'})
+  expect(typeErrors(StringType({minLength: 2}), 'a', {locale: 'fr'})[0].message).toEqual('doit avoir au moins 2 caractères')
+  // Messages missing in a locale are in English
+  expect(typeErrors(StringType({maxLength: 0}), 'a', {locale: 'fr'})[0].message).toEqual('must have at most 0 characters but had 1')
+  expect(() => addMessages('fr')).toThrowError('addMessages expects an object of messages as its second argument')
+})
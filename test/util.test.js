@@ -1,4 +1,4 @@
-const {assertValidOptions} = require('../src/util')
+const {assertValidOptions, deepEqual, stringify, clone} = require('../src/util')
 
 test('assertValidOptions - can check all types supported by the typeOf function', () => {
   const validOptions = {
@@ -14,3 +14,28 @@ test('assertValidOptions - can check all types supported by the typeOf function'
 
   expect(() => assertValidOptions({foo: 'foo', bar: 1, baz: function () {}, bla: ['bla']}, validOptions)).toThrow()
 })
+
+test('deepEqual - compares arrays, objects and dates by value', () => {
+  expect(deepEqual({a: [1, {b: 2}], c: new Date(0)}, {c: new Date(0), a: [1, {b: 2}]})).toEqual(true)
+  expect(deepEqual(NaN, NaN)).toEqual(true)
+  expect(deepEqual([1, 2], [2, 1])).toEqual(false)
+  expect(deepEqual({a: 1}, {a: 1, b: undefined})).toEqual(false)
+  expect(deepEqual({a: 1}, [1])).toEqual(false)
+  expect(deepEqual('1', 1)).toEqual(false)
+  expect(deepEqual(new Date(0), new Date(1))).toEqual(false)
+  expect(deepEqual(JSON.parse('{"hasOwnProperty": 1}'), JSON.parse('{"hasOwnProperty": 1}'))).toEqual(true)
+  expect(deepEqual({a: 1}, JSON.parse('{"hasOwnProperty": 1}'))).toEqual(false)
+})
+
+test('stringify - renders values as JSON and falls back to String', () => {
+  expect(stringify({a: [1, 'b', null]})).toEqual('{"a":[1,"b",null]}')
+  expect(stringify('a')).toEqual('"a"')
+  expect(stringify(undefined)).toEqual('undefined')
+})
+
+test('clone - keeps a __proto__ key of parsed JSON as a key', () => {
+  const value = clone(JSON.parse('{"__proto__": {"polluted": 1}, "a": [{"__proto__": {"polluted": 1}}]}'))
+  expect(value.polluted).toEqual(undefined)
+  expect(value.a[0].polluted).toEqual(undefined)
+  expect(Object.keys(value)).toEqual(['__proto__', 'a'])
+})